@@ -1,7 +1,8 @@
 
 const jwt = require('jsonwebtoken');
+const sessionService = require('../utils/sessionService');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -10,14 +11,25 @@ module.exports = function(req, res, next) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  try {
+    // The token's session must not have been logged out or revoked
+    if (!decoded.user || !(await sessionService.isActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
 
     // Add user from payload
-    req.user = decoded.user;
+    req.user = { ...decoded.user, sessionId: decoded.sid };
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    console.error('Error in auth middleware:', err);
+    res.status(500).json({ message: 'Server error' });
   }
 };
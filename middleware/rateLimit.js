@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const rateLimiter = require('../utils/rateLimiter');
+
+// Build middleware allowing at most `max` requests per `windowMinutes` for each key. `keyFor`
+// picks the key from the request (e.g. the IP or the account's email); requests without one are
+// not counted. `name` keeps the counters of different limits apart.
+module.exports = function({ name, windowMinutes, max, keyFor }) {
+  return async function(req, res, next) {
+    const value = keyFor(req);
+    if (!value) {
+      return next();
+    }
+
+    try {
+      // Hash the value so counters do not store emails or tokens
+      const key = `${name}:${crypto.createHash('sha256').update(String(value)).digest('hex')}`;
+      const { count, resetAt } = await rateLimiter.hit(key, windowMinutes * 60 * 1000);
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+        return res.status(429).json({ message: 'Too many attempts, please try again later' });
+      }
+
+      next();
+    } catch (err) {
+      console.error('Error in rate limit middleware:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+const dateUtils = require('../utils/dateUtils');
 
 const AppointmentSchema = new mongoose.Schema({
   userId: {
@@ -8,10 +9,40 @@ const AppointmentSchema = new mongoose.Schema({
     required: true
   },
   serviceId: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // First (main) service of the booking
     ref: 'Service',
     required: true
   },
+  // All booked services in the order they are performed, with prices at the time of booking
+  services: [{
+    _id: false,
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    name: String,
+    duration: Number, // in minutes
+    price: Number,
+    loyaltyPointsEarned: Number
+  }],
+  duration: {
+    type: Number // Combined duration of all services, in minutes
+  },
+  price: {
+    type: Number // Total price of all services
+  },
+  // Time kept free before and after the appointment, in minutes
+  bufferBefore: {
+    type: Number
+  },
+  bufferAfter: {
+    type: Number
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
   date: {
     type: Date,
     required: true
@@ -25,6 +56,36 @@ const AppointmentSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'],
     default: 'confirmed'
   },
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Not set for changes made by the system
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['client', 'admin', 'system']
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  requiresApproval: {
+    type: Boolean, // Booked under a no-show penalty; only an admin can confirm it
+    default: false
+  },
+  noShowFlaggedAt: {
+    type: Date // Set when the appointment ended without being completed, for an admin to review
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId, // Set when the visit belongs to a recurring series
+    ref: 'AppointmentSeries'
+  },
   notes: {
     type: String,
     trim: true
@@ -33,6 +94,25 @@ const AppointmentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  calendarSequence: {
+    type: Number, // Raised whenever the appointment moves or is cancelled, so calendar apps update it
+    default: 0
+  },
+  // Reminders handled for this appointment, one entry per reminder time
+  reminders: [{
+    _id: false,
+    hoursBefore: Number,
+    status: {
+      type: String,
+      enum: ['sending', 'sent', 'failed', 'skipped']
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    claimedAt: Date,
+    sentAt: Date
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -49,17 +129,17 @@ AppointmentSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual for full appointment datetime
+// Virtual for full appointment datetime, with the time slot read in the shop's time zone
 AppointmentSchema.virtual('appointmentDateTime').get(function() {
-  const date = new Date(this.date);
-  const [hours, minutes] = this.timeSlot.split(':');
-  date.setHours(parseInt(hours, 10), parseInt(minutes, 10), 0, 0);
-  return date;
+  return dateUtils.combineDateAndTime(this.date, this.timeSlot);
 });
 
 // Indexes for faster queries
 AppointmentSchema.index({ userId: 1 });
 AppointmentSchema.index({ date: 1, status: 1 });
 AppointmentSchema.index({ serviceId: 1, date: 1 });
+AppointmentSchema.index({ staffId: 1, date: 1 });
+AppointmentSchema.index({ seriesId: 1, date: 1 });
+AppointmentSchema.index({ status: 1, noShowFlaggedAt: 1 });
 
 module.exports = mongoose.model('Appointment', AppointmentSchema);
@@ -0,0 +1,69 @@
+
+const mongoose = require('mongoose');
+
+const AppointmentSeriesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId, // Empty means any barber
+    ref: 'Staff'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  intervalWeeks: {
+    type: Number, // Frequency rule: one visit every N weeks
+    required: true,
+    min: 1,
+    max: 12
+  },
+  // End condition: a number of occurrences or a last date
+  occurrenceCount: {
+    type: Number,
+    min: 1
+  },
+  endDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+AppointmentSeriesSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for faster queries
+AppointmentSeriesSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', AppointmentSeriesSchema);
@@ -0,0 +1,51 @@
+
+const mongoose = require('mongoose');
+
+// Time taken out of the bookable hours, e.g. a lunch break or a barber's errand. A period either
+// falls on one date or repeats on weekdays (every day when none are listed).
+const BlockedPeriodSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId, // Empty means the whole shop
+    ref: 'Staff'
+  },
+  date: {
+    type: Date // Start of the day, for one-off blocks
+  },
+  daysOfWeek: [{
+    type: Number, // 0 = Sunday, 6 = Saturday
+    min: 0,
+    max: 6
+  }],
+  startTime: {
+    type: String, // HH:MM
+    required: true
+  },
+  endTime: {
+    type: String, // HH:MM
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+BlockedPeriodSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for faster queries
+BlockedPeriodSchema.index({ date: 1 });
+BlockedPeriodSchema.index({ staffId: 1 });
+
+module.exports = mongoose.model('BlockedPeriod', BlockedPeriodSchema);
@@ -0,0 +1,53 @@
+
+const mongoose = require('mongoose');
+
+// Shop-wide booking rules, stored as a single document. A value of 0 turns a rule off.
+const BookingPolicySchema = new mongoose.Schema({
+  minLeadMinutes: {
+    type: Number, // Minimum time between booking and the appointment
+    default: 0,
+    min: 0
+  },
+  maxAdvanceDays: {
+    type: Number, // How many days ahead appointments can be booked
+    default: 0,
+    min: 0
+  },
+  changeCutoffMinutes: {
+    type: Number, // No cancelling or rescheduling this close to the appointment
+    default: 0,
+    min: 0
+  },
+  maxFutureAppointments: {
+    type: Number, // Upcoming appointments a client can hold at once
+    default: 0,
+    min: 0
+  },
+  noShowApprovalThreshold: {
+    type: Number, // No-shows after which a client's bookings wait for admin approval
+    default: 0,
+    min: 0
+  },
+  noShowBlockThreshold: {
+    type: Number, // No-shows after which a client cannot book online for noShowBlockDays
+    default: 0,
+    min: 0
+  },
+  noShowBlockDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+BookingPolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('BookingPolicy', BookingPolicySchema);
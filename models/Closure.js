@@ -0,0 +1,61 @@
+
+const mongoose = require('mongoose');
+
+const ClosureSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date, // inclusive
+    required: true
+  },
+  // Partial-day closures set both times; full-day closures leave them empty
+  startTime: {
+    type: String, // HH:MM
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String, // HH:MM
+    match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'ics'],
+    default: 'manual'
+  },
+  externalId: {
+    type: String // UID of the imported calendar event
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+ClosureSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for whether the closure covers whole days
+ClosureSchema.virtual('isFullDay').get(function() {
+  return !this.startTime || !this.endTime;
+});
+
+ClosureSchema.set('toJSON', { virtuals: true });
+
+// Indexes for faster queries
+ClosureSchema.index({ startDate: 1, endDate: 1 });
+ClosureSchema.index({ externalId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Closure', ClosureSchema);
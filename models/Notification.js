@@ -0,0 +1,94 @@
+
+const mongoose = require('mongoose');
+
+// An email or SMS to a client, rendered when it is queued and delivered by the notification worker
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  template: {
+    type: String, // Notification type, e.g. appointmentConfirmation
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'he'],
+    default: 'en'
+  },
+  variables: {
+    type: mongoose.Schema.Types.Mixed // Values the template was rendered with
+  },
+  to: {
+    type: String, // Email address or phone number
+    required: true
+  },
+  subject: {
+    type: String // Email only
+  },
+  body: {
+    type: String, // HTML for email, plain text for SMS
+    required: true
+  },
+  attachments: [{
+    _id: false,
+    filename: String,
+    content: String,
+    contentType: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  claimedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  providerId: {
+    type: String // Message ID from the transport
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+NotificationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for faster queries
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ appointmentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,52 @@
+
+const mongoose = require('mongoose');
+
+// Admin-edited text of a notification in one language, used instead of the built-in default.
+// Text can contain {{placeholders}} that are filled in when the notification is sent.
+const NotificationTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String, // Notification type, e.g. appointmentConfirmation
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'he'],
+    required: true
+  },
+  subject: {
+    type: String, // Email only
+    trim: true
+  },
+  body: {
+    type: String, // HTML for email, plain text for SMS
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+NotificationTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One template per notification, channel and language
+NotificationTemplateSchema.index({ key: 1, channel: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', NotificationTemplateSchema);
@@ -0,0 +1,25 @@
+
+const mongoose = require('mongoose');
+
+// A request counter for one key (e.g. sign-ins from an IP) over a fixed time window, shared by
+// every server process. The counter is removed once its window is over.
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String, // e.g. login:ip:203.0.113.5 or login-failed:<userId>
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date, // End of the current window
+    required: true
+  }
+});
+
+// Indexes
+RateLimitSchema.index({ key: 1 }, { unique: true });
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,51 @@
+
+const mongoose = require('mongoose');
+
+const ShiftSchema = new mongoose.Schema({
+  start: {
+    type: String, // HH:MM
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  end: {
+    type: String, // HH:MM
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/
+  }
+}, { _id: false });
+
+const ScheduleSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday, 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6,
+    unique: true
+  },
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+  shifts: [ShiftSchema],
+  slotInterval: {
+    type: Number, // in minutes
+    default: 30,
+    min: 5
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+ScheduleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Schedule', ScheduleSchema);
@@ -22,6 +22,17 @@ const ServiceSchema = new mongoose.Schema({
     required: true,
     min: 5
   },
+  // Preparation and cleanup time kept free around each appointment, in minutes
+  bufferBefore: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bufferAfter: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,38 @@
+
+const mongoose = require('mongoose');
+
+// One claim per barber, day and block of minutes. The unique index guarantees that two
+// bookings can never hold the same block, even when requests run concurrently.
+const SlotClaimSchema = new mongoose.Schema({
+  staffKey: {
+    type: String, // Staff ID, or "shop" while the shop books as a single chair
+    required: true
+  },
+  date: {
+    type: Date, // Start of the day
+    required: true
+  },
+  minute: {
+    type: Number, // Minutes since start of day
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Pending claims expire so a crashed request cannot block a slot forever
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+SlotClaimSchema.index({ staffKey: 1, date: 1, minute: 1 }, { unique: true });
+SlotClaimSchema.index({ appointmentId: 1 });
+SlotClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotClaim', SlotClaimSchema);
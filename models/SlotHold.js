@@ -0,0 +1,59 @@
+
+const mongoose = require('mongoose');
+
+// A slot held for a client while they finish booking. The time is reserved through slot claims
+// that carry the hold's ID and expire with it, so booking the hold reuses the same claims.
+const SlotHoldSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceIds: [{
+    type: mongoose.Schema.Types.ObjectId, // In booking order
+    ref: 'Service'
+  }],
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId, // Empty while the shop books as a single chair
+    ref: 'Staff'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number, // Combined duration of the services in minutes
+    required: true
+  },
+  bufferBefore: {
+    type: Number,
+    default: 0
+  },
+  bufferAfter: {
+    type: Number,
+    default: 0
+  },
+  waitlistId: {
+    type: mongoose.Schema.Types.ObjectId, // Set when the slot is held for a waitlist offer
+    ref: 'Waitlist'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+SlotHoldSchema.index({ userId: 1 });
+SlotHoldSchema.index({ date: 1 });
+SlotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotHold', SlotHoldSchema);
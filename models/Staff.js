@@ -0,0 +1,83 @@
+
+const mongoose = require('mongoose');
+
+const WorkingDaySchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday, 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+  shifts: [{
+    _id: false,
+    start: {
+      type: String, // HH:MM
+      required: true
+    },
+    end: {
+      type: String, // HH:MM
+      required: true
+    }
+  }]
+}, { _id: false });
+
+const StaffSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId, // Optional login account for the barber
+    ref: 'User'
+  },
+  bio: {
+    type: String,
+    trim: true
+  },
+  services: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  // Weekdays without an entry follow the shop's business hours
+  workingHours: [WorkingDaySchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+StaffSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for full name
+StaffSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+StaffSchema.set('toJSON', { virtuals: true });
+
+// Indexes for faster queries
+StaffSchema.index({ isActive: 1, services: 1 });
+
+module.exports = mongoose.model('Staff', StaffSchema);
@@ -56,14 +56,48 @@ const UserSchema = new mongoose.Schema({
     reminderTime: {
       type: Number, // Hours before appointment
       default: 24
-    }
+    },
+    reminderTimes: [{
+      type: Number // Hours before appointment for each reminder, used instead of reminderTime when set
+    }]
   },
   loyaltyPoints: {
     type: Number,
     default: 0
   },
+  noShowCount: {
+    type: Number, // Appointments confirmed as no-shows
+    default: 0
+  },
+  // Penalties applied for no-shows under the booking policy, until an admin clears them
+  bookingRestriction: {
+    requiresApproval: {
+      type: Boolean, // New bookings start as pending until an admin confirms them
+      default: false
+    },
+    blockedUntil: {
+      type: Date // No online booking before this time
+    },
+    appliedAt: {
+      type: Date
+    }
+  },
   resetPasswordToken: String,
+  calendarToken: {
+    type: String, // Secret part of the user's calendar feed URL
+    select: false
+  },
+  shopCalendarToken: {
+    type: String, // Secret part of an admin's shop-wide calendar feed URL, separate from calendarToken
+    select: false
+  },
   resetPasswordExpires: Date,
+  lockedUntil: {
+    type: Date // Sign-in is refused until then after too many failed attempts
+  },
+  lockedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -12,21 +12,64 @@ const WaitlistSchema = new mongoose.Schema({
     ref: 'Service',
     required: true
   },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId, // Empty means any barber
+    ref: 'Staff'
+  },
   date: {
-    type: Date,
+    type: Date, // First day the client can come
     required: true
   },
+  endDate: {
+    type: Date // Last day the client can come; empty means only on `date`
+  },
+  daysOfWeek: [{
+    type: Number, // 0 = Sunday, 6 = Saturday; empty means any day in the range
+    min: 0,
+    max: 6
+  }],
+  timeWindows: [{
+    _id: false,
+    start: {
+      type: String, // HH:MM
+      required: true
+    },
+    end: {
+      type: String, // HH:MM
+      required: true
+    }
+  }],
   preferredTimeSlots: [{
     type: String
   }],
   status: {
     type: String,
-    enum: ['waiting', 'notified', 'booked', 'expired'],
+    enum: ['waiting', 'notified', 'booked', 'expired', 'withdrawn'],
     default: 'waiting'
   },
   notifiedAt: {
     type: Date
   },
+  // The slot offered to this entry, held for it until the offer expires
+  offer: {
+    date: {
+      type: Date
+    },
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold'
+    },
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    timeSlot: {
+      type: String // HH:MM
+    },
+    expiresAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -46,6 +89,9 @@ WaitlistSchema.pre('save', function(next) {
 // Indexes for faster queries
 WaitlistSchema.index({ userId: 1 });
 WaitlistSchema.index({ date: 1, status: 1 });
+WaitlistSchema.index({ status: 1, date: 1, endDate: 1 });
 WaitlistSchema.index({ serviceId: 1, date: 1 });
+WaitlistSchema.index({ staffId: 1, date: 1 });
+WaitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
 
 module.exports = mongoose.model('Waitlist', WaitlistSchema);
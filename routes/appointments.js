@@ -4,14 +4,38 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
-const Service = require('../models/Service');
 const User = require('../models/User');
 const Waitlist = require('../models/Waitlist');
+const SlotHold = require('../models/SlotHold');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const scheduleUtils = require('../utils/scheduleUtils');
+const dateUtils = require('../utils/dateUtils');
+const serviceUtils = require('../utils/serviceUtils');
 const emailService = require('../utils/emailService');
 const smsService = require('../utils/smsService');
+const slotClaims = require('../utils/slotClaims');
+const waitlistService = require('../utils/waitlistService');
+const bookingPolicy = require('../utils/bookingPolicy');
+const appointmentService = require('../utils/appointmentService');
+const noShowService = require('../utils/noShowService');
+const completionService = require('../utils/completionService');
+
+// Statuses that free up the appointment's time slot
+const INACTIVE_STATUSES = ['cancelled', 'no-show'];
+
+// Longest date range returned by the availability endpoint, in days
+const MAX_AVAILABILITY_RANGE_DAYS = 62;
+
+// Longest date range the auto-complete run accepts, in days
+const MAX_COMPLETE_RANGE_DAYS = 366;
+
+// Default and longest search window for the first available slot, in days
+const DEFAULT_FIRST_AVAILABLE_DAYS = 60;
+const MAX_FIRST_AVAILABLE_DAYS = 180;
+
+// Require a signed-in user only when the request asks about a hold, which belongs to one client
+const authForHold = (req, res, next) => (req.query.holdId ? auth(req, res, next) : next());
 
 // @route   GET api/appointments
 // @desc    Get all appointments (admin only)
@@ -22,14 +46,24 @@ router.get('/', [auth, admin], async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    const appointments = await Appointment.find()
+    // Optionally filter by barber
+    const query = {};
+    if (req.query.staffId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.staffId)) {
+        return res.status(400).json({ message: 'Invalid staff ID' });
+      }
+      query.staffId = req.query.staffId;
+    }
+    
+    const appointments = await Appointment.find(query)
       .populate('userId', 'firstName lastName email phone')
       .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
       .sort({ date: 1, timeSlot: 1 })
       .skip(skip)
       .limit(limit);
     
-    const total = await Appointment.countDocuments();
+    const total = await Appointment.countDocuments(query);
     
     res.json({
       appointments,
@@ -50,22 +84,43 @@ router.get('/', [auth, admin], async (req, res) => {
 // @access  Private
 router.get('/user', auth, async (req, res) => {
   try {
-    const appointments = await Appointment.find({ userId: req.user.id })
+    // Optionally filter by barber
+    const query = { userId: req.user.id };
+    if (req.query.staffId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.staffId)) {
+        return res.status(400).json({ message: 'Invalid staff ID' });
+      }
+      query.staffId = req.query.staffId;
+    }
+    
+    const appointments = await Appointment.find(query)
       .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
       .sort({ date: -1 });
     
     // Transform the appointments to include service details
+    // Names come from the snapshots stored on the appointment, which outlive deleted services
     const formattedAppointments = appointments.map(appointment => {
+      const services = serviceUtils.getAppointmentServices(appointment).map(service => ({
+        name: service.name,
+        price: service.price,
+        duration: service.duration
+      }));
+      
       return {
         _id: appointment._id,
         date: appointment.date,
         timeSlot: appointment.timeSlot,
         status: appointment.status,
-        service: {
-          name: appointment.serviceId.name,
-          price: appointment.serviceId.price,
-          duration: appointment.serviceId.duration
-        },
+        service: services[0] || null,
+        services,
+        duration: serviceUtils.getAppointmentDuration(appointment),
+        price: serviceUtils.getAppointmentPrice(appointment),
+        staff: appointment.staffId ? {
+          _id: appointment.staffId._id,
+          firstName: appointment.staffId.firstName,
+          lastName: appointment.staffId.lastName
+        } : null,
         notes: appointment.notes,
         createdAt: appointment.createdAt
       };
@@ -78,6 +133,230 @@ router.get('/user', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/appointments/available
+// @desc    Get available time slots for one or more services (serviceId or serviceIds=a,b) on a date,
+//          or on every day from `from` to `to`, optionally for one barber. Pass holdId to see the
+//          client's own held slot as available.
+// @access  Public (Private with holdId)
+router.get('/available', authForHold, async (req, res) => {
+  try {
+    const { date, from, to, staffId, groupByStaff, holdId } = req.query;
+    
+    if (!date && !from) {
+      return res.status(400).json({ message: 'Date (or from/to range) is required' });
+    }
+    
+    const { serviceIds, error: serviceError } = serviceUtils.parseServiceIds(req.query);
+    if (serviceError) {
+      return res.status(400).json({ message: serviceError });
+    }
+    
+    if (staffId && staffId !== 'any' && !mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({ message: 'Invalid staff ID' });
+    }
+    
+    if (holdId && !mongoose.Types.ObjectId.isValid(holdId)) {
+      return res.status(400).json({ message: 'Invalid hold ID' });
+    }
+    
+    // Only the client's own hold counts as free, so other clients' holds stay hidden
+    if (holdId) {
+      const hold = await SlotHold.findById(holdId);
+      if (!hold || hold.userId.toString() !== req.user.id) {
+        return res.status(404).json({ message: 'Hold not found' });
+      }
+    }
+    
+    const startDate = dateUtils.parseDate(date || from);
+    const endDate = date ? startDate : dateUtils.parseDate(to || from);
+    
+    // Check if dates are valid
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    
+    if (endDate < startDate) {
+      return res.status(400).json({ message: 'End date must not be before start date' });
+    }
+    
+    if (endDate > dateUtils.addDays(startDate, MAX_AVAILABILITY_RANGE_DAYS - 1)) {
+      return res.status(400).json({ message: `Date range cannot exceed ${MAX_AVAILABILITY_RANGE_DAYS} days` });
+    }
+    
+    // Check if date is in the past
+    const today = dateUtils.startOfDay(new Date());
+    if (endDate < today || (date && startDate < today)) {
+      return res.status(400).json({ message: 'Cannot book appointments in the past' });
+    }
+    
+    // Get service details for the combined duration
+    const services = await serviceUtils.loadServices(serviceIds);
+    if (!services) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    
+    // Get the barbers who perform these services
+    const staffMembers = await scheduleUtils.getEligibleStaff(serviceIds, staffId);
+    if (staffMembers.length === 0) {
+      return res.status(404).json({ message: 'No barber found for this service' });
+    }
+    
+    // Get available time slots per barber for every day in the range
+    const days = await scheduleUtils.getRangeAvailability(
+      startDate < today ? today : startDate,
+      endDate,
+      serviceUtils.getTotalDuration(services),
+      staffMembers,
+      holdId,
+      serviceUtils.getBuffers(services)
+    );
+    
+    const formatSlots = (staffAvailability) => {
+      if (groupByStaff === 'true') {
+        return staffAvailability.map(({ staff, slots }) => ({
+          staff: formatStaffSummary(staff),
+          slots
+        }));
+      }
+      
+      return scheduleUtils.mergeStaffSlots(staffAvailability);
+    };
+    
+    if (date) {
+      // Check if date is a business day
+      if (!days[0].daySchedule.isOpen) {
+        return res.status(400).json({ message: 'Selected date is not a business day' });
+      }
+      
+      return res.json(formatSlots(days[0].staffAvailability));
+    }
+    
+    res.json(days.map(day => ({
+      date: day.date,
+      isOpen: day.daySchedule.isOpen,
+      slots: formatSlots(day.staffAvailability)
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/appointments/available/first
+// @desc    Find the earliest available slot for one or more services, optionally limited to weekdays
+//          (e.g. weekdays=0,2,4) and a time-of-day window (after=HH:MM, before=HH:MM)
+// @access  Public
+router.get('/available/first', async (req, res) => {
+  try {
+    const { staffId, from, weekdays, after, before, holdId } = req.query;
+    const searchDays = parseInt(req.query.days) || DEFAULT_FIRST_AVAILABLE_DAYS;
+    
+    const { serviceIds, error: serviceError } = serviceUtils.parseServiceIds(req.query);
+    if (serviceError) {
+      return res.status(400).json({ message: serviceError });
+    }
+    
+    if (staffId && staffId !== 'any' && !mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({ message: 'Invalid staff ID' });
+    }
+    
+    if (holdId && !mongoose.Types.ObjectId.isValid(holdId)) {
+      return res.status(400).json({ message: 'Invalid hold ID' });
+    }
+    
+    // Only the client's own hold counts as free, so other clients' holds stay hidden
+    if (holdId) {
+      const hold = await SlotHold.findById(holdId);
+      if (!hold || hold.userId.toString() !== req.user.id) {
+        return res.status(404).json({ message: 'Hold not found' });
+      }
+    }
+    
+    if (searchDays < 1 || searchDays > MAX_FIRST_AVAILABLE_DAYS) {
+      return res.status(400).json({ message: `Search window must be between 1 and ${MAX_FIRST_AVAILABLE_DAYS} days` });
+    }
+    
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if ((after && !timePattern.test(after)) || (before && !timePattern.test(before) && before !== '24:00')) {
+      return res.status(400).json({ message: 'Time window must be in HH:MM format' });
+    }
+    
+    const allowedWeekdays = weekdays ? weekdays.split(',').map(day => parseInt(day, 10)) : null;
+    if (allowedWeekdays && allowedWeekdays.some(day => isNaN(day) || day < 0 || day > 6)) {
+      return res.status(400).json({ message: 'Weekdays must be between 0 and 6' });
+    }
+    
+    const today = dateUtils.startOfDay(new Date());
+    const startDate = from ? dateUtils.parseDate(from) : today;
+    
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    
+    // Get service details for the combined duration
+    const services = await serviceUtils.loadServices(serviceIds);
+    if (!services) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    
+    const staffMembers = await scheduleUtils.getEligibleStaff(serviceIds, staffId);
+    if (staffMembers.length === 0) {
+      return res.status(404).json({ message: 'No barber found for this service' });
+    }
+    
+    const serviceDuration = serviceUtils.getTotalDuration(services);
+    const buffers = serviceUtils.getBuffers(services);
+    const searchStart = startDate < today ? today : startDate;
+    const days = await scheduleUtils.getRangeAvailability(
+      searchStart,
+      dateUtils.addDays(searchStart, searchDays - 1),
+      serviceDuration,
+      staffMembers,
+      holdId,
+      buffers
+    );
+    
+    const windowStart = after ? scheduleUtils.timeToMinutes(after) : 0;
+    const windowEnd = before ? scheduleUtils.timeToMinutes(before) : 24 * 60;
+    
+    for (const day of days) {
+      if (allowedWeekdays && !allowedWeekdays.includes(day.daySchedule.dayOfWeek)) {
+        continue;
+      }
+      
+      const timeSlot = scheduleUtils.mergeStaffSlots(day.staffAvailability).find(slot => {
+        const slotStart = scheduleUtils.timeToMinutes(slot);
+        return slotStart >= windowStart && slotStart + serviceDuration <= windowEnd;
+      });
+      
+      if (timeSlot) {
+        // Suggest the least busy barber who is free at that time
+        const [staffMember] = scheduleUtils.getAvailableStaffForSlot(
+          timeSlot,
+          day.bookedSlots,
+          serviceDuration,
+          day.daySchedule,
+          day.staffAvailability
+            .filter(({ slots }) => slots.includes(timeSlot))
+            .map(({ staff }) => staff),
+          buffers
+        );
+        
+        return res.json({
+          date: day.date,
+          timeSlot,
+          staff: formatStaffSummary(staffMember)
+        });
+      }
+    }
+    
+    res.status(404).json({ message: 'No available slot found in the search window' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/appointments/:id
 // @desc    Get appointment by ID
 // @access  Private
@@ -85,7 +364,8 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.id)
       .populate('userId', 'firstName lastName email phone')
-      .populate('serviceId');
+      .populate('serviceId')
+      .populate('staffId', 'firstName lastName');
     
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
@@ -106,86 +386,47 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   GET api/appointments/available
-// @desc    Get available time slots for a date and service
-// @access  Public
-router.get('/available', async (req, res) => {
+// @route   GET api/appointments/:id/history
+// @desc    Get the status timeline of an appointment (admin only)
+// @access  Private/Admin
+router.get('/:id/history', [auth, admin], async (req, res) => {
   try {
-    const { date, serviceId } = req.query;
-    
-    if (!date || !serviceId) {
-      return res.status(400).json({ message: 'Date and service ID are required' });
-    }
-    
-    const requestedDate = new Date(date);
-    
-    // Check if date is valid
-    if (isNaN(requestedDate.getTime())) {
-      return res.status(400).json({ message: 'Invalid date format' });
-    }
-    
-    // Check if date is in the past
-    if (requestedDate < new Date().setHours(0, 0, 0, 0)) {
-      return res.status(400).json({ message: 'Cannot book appointments in the past' });
-    }
-    
-    // Check if date is a business day
-    if (!scheduleUtils.isBusinessDay(requestedDate)) {
-      return res.status(400).json({ message: 'Selected date is not a business day' });
-    }
+    const appointment = await Appointment.findById(req.params.id)
+      .select('status statusHistory createdAt')
+      .populate('statusHistory.changedBy', 'firstName lastName email role');
     
-    // Get service details for duration
-    const service = await Service.findById(serviceId);
-    if (!service) {
-      return res.status(404).json({ message: 'Service not found' });
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
     }
     
-    // Get existing appointments for the date
-    const startOfDay = new Date(requestedDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(requestedDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const existingAppointments = await Appointment.find({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      status: { $nin: ['cancelled', 'no-show'] }
-    }).populate('serviceId');
-    
-    // Format appointments for the availability check
-    const formattedAppointments = existingAppointments.map(appointment => ({
-      timeSlot: appointment.timeSlot,
-      serviceDuration: appointment.serviceId.duration
-    }));
-    
-    // Get available time slots
-    const availableSlots = scheduleUtils.getAvailableTimeSlots(
-      requestedDate,
-      formattedAppointments,
-      service.duration
-    );
-    
-    res.json(availableSlots);
+    res.json({
+      appointmentId: appointment._id,
+      status: appointment.status,
+      createdAt: appointment.createdAt,
+      history: appointment.statusHistory
+    });
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
     res.status(500).send('Server error');
   }
 });
 
 // @route   POST api/appointments
-// @desc    Create a new appointment
+// @desc    Create a new appointment for one service (serviceId) or several in order (serviceIds),
+//          or book a slot held earlier (holdId), which takes its date, time, barber and services from the hold
 // @access  Private
 router.post(
   '/',
   [
     auth,
     [
-      check('serviceId', 'Service ID is required').not().isEmpty(),
-      check('date', 'Date is required').not().isEmpty(),
-      check('timeSlot', 'Time slot is required').not().isEmpty()
+      check('date', 'Date is required').if(check('holdId').not().exists()).not().isEmpty(),
+      check('timeSlot', 'Time slot must be in HH:MM format')
+        .if(check('holdId').not().exists())
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
     ]
   ],
   async (req, res) => {
@@ -194,18 +435,44 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { serviceId, date, timeSlot, notes, userId } = req.body;
+    const { staffId, notes, userId, holdId } = req.body;
     
     try {
       // Determine which user ID to use (admin can book for other users)
       const bookingUserId = req.user.role === 'admin' && userId ? userId : req.user.id;
       
-      // Validate service
-      const service = await Service.findById(serviceId);
-      if (!service) {
+      // A hold must belong to the current user and still be valid
+      let hold = null;
+      if (holdId) {
+        hold = mongoose.Types.ObjectId.isValid(holdId) ? await SlotHold.findById(holdId) : null;
+        
+        if (!hold || hold.userId.toString() !== req.user.id) {
+          return res.status(404).json({ message: 'Hold not found' });
+        }
+        
+        if (hold.expiresAt <= new Date()) {
+          return res.status(410).json({ message: 'Hold has expired' });
+        }
+      }
+      
+      const date = hold ? hold.date : req.body.date;
+      const timeSlot = hold ? hold.timeSlot : req.body.timeSlot;
+      
+      // Validate services
+      const { serviceIds, error: serviceError } = hold
+        ? { serviceIds: hold.serviceIds.map(String) }
+        : serviceUtils.parseServiceIds(req.body);
+      if (serviceError) {
+        return res.status(400).json({ message: serviceError });
+      }
+      
+      const services = await serviceUtils.loadServices(serviceIds);
+      if (!services) {
         return res.status(404).json({ message: 'Service not found' });
       }
       
+      const serviceDuration = serviceUtils.getTotalDuration(services);
+      
       // Validate user if admin is booking for someone else
       if (req.user.role === 'admin' && userId) {
         const user = await User.findById(userId);
@@ -214,7 +481,7 @@ router.post(
         }
       }
       
-      const requestedDate = new Date(date);
+      const requestedDate = dateUtils.parseDate(date);
       
       // Check if date is valid
       if (isNaN(requestedDate.getTime())) {
@@ -222,58 +489,138 @@ router.post(
       }
       
       // Check if date is in the past
-      if (requestedDate < new Date().setHours(0, 0, 0, 0)) {
+      if (requestedDate < dateUtils.startOfDay(new Date())) {
         return res.status(400).json({ message: 'Cannot book appointments in the past' });
       }
       
-      // Check time slot availability
-      const startOfDay = new Date(requestedDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      
-      const endOfDay = new Date(requestedDate);
-      endOfDay.setHours(23, 59, 59, 999);
+      // Check if the time slot has already passed today
+      if (dateUtils.combineDateAndTime(requestedDate, timeSlot) < new Date()) {
+        return res.status(400).json({ message: 'Cannot book appointments in the past' });
+      }
       
-      const existingAppointments = await Appointment.find({
-        date: {
-          $gte: startOfDay,
-          $lte: endOfDay
-        },
-        status: { $nin: ['cancelled', 'no-show'] }
-      }).populate('serviceId');
+      // Clients with no-show penalties may be blocked from booking or need approval. A hold was
+      // checked for the block and the booking policy when it was taken, so it is not refused now.
+      let requiresApproval = false;
+      if (req.user.role !== 'admin') {
+        const restriction = await noShowService.getBookingRestriction(bookingUserId);
+        if (restriction.error && !hold) {
+          return res.status(403).json({ message: restriction.error });
+        }
+        
+        requiresApproval = restriction.requiresApproval;
+      }
       
-      // Format appointments for the availability check
-      const formattedAppointments = existingAppointments.map(appointment => ({
-        timeSlot: appointment.timeSlot,
-        serviceDuration: appointment.serviceId.duration
-      }));
+      // Check the booking policy unless an admin overrides it
+      if (!hold && !bookingPolicy.isOverride(req)) {
+        const policy = await bookingPolicy.getPolicy();
+        const policyError = await bookingPolicy.checkBooking(policy, {
+          userId: bookingUserId,
+          dateTime: dateUtils.combineDateAndTime(requestedDate, timeSlot)
+        });
+        
+        if (policyError) {
+          return res.status(400).json({ message: policyError });
+        }
+      }
       
-      // Check if the requested time slot is available
-      const isAvailable = scheduleUtils.isTimeSlotAvailable(
-        timeSlot,
-        formattedAppointments,
-        service.duration
-      );
+      let availableStaff;
       
-      if (!isAvailable) {
-        return res.status(400).json({ message: 'The selected time slot is no longer available' });
+      if (hold) {
+        // The hold's claims already reserve the slot with its barber, so no other barber is tried
+        availableStaff = [{ _id: hold.staffId }];
+      } else {
+        // Check if the shop is open on the requested date
+        const daySchedule = await scheduleUtils.getDaySchedule(requestedDate);
+        
+        if (!daySchedule.isOpen) {
+          return res.status(400).json({ message: 'Selected date is not a business day' });
+        }
+        
+        // Get the requested barber, or every barber who performs these services
+        if (staffId && staffId !== 'any' && !mongoose.Types.ObjectId.isValid(staffId)) {
+          return res.status(400).json({ message: 'Invalid staff ID' });
+        }
+        
+        const staffMembers = await scheduleUtils.getEligibleStaff(serviceIds, staffId);
+        if (staffMembers.length === 0) {
+          return res.status(404).json({ message: 'No barber found for this service' });
+        }
+        
+        // Check if the requested time slot is available for the combined duration and find the free barbers
+        const bookedSlots = await scheduleUtils.getBookedSlots(requestedDate);
+        availableStaff = scheduleUtils.getAvailableStaffForSlot(
+          timeSlot,
+          bookedSlots,
+          serviceDuration,
+          daySchedule,
+          staffMembers,
+          serviceUtils.getBuffers(services)
+        );
+        
+        if (availableStaff.length === 0) {
+          return sendSlotUnavailable(res, timeSlot, serviceDuration, daySchedule, staffMembers);
+        }
       }
       
       // Create new appointment
-      const newAppointment = new Appointment({
+      const appointment = new Appointment({
         userId: bookingUserId,
-        serviceId,
+        ...serviceUtils.buildAppointmentServices(services),
         date: requestedDate,
         timeSlot,
-        notes
+        notes,
+        // Bookings under a no-show penalty wait for an admin to confirm them
+        status: requiresApproval ? 'pending' : 'confirmed',
+        requiresApproval
       });
       
-      const appointment = await newAppointment.save();
+      // The appointment takes over the hold's ID so saving reuses the hold's claims
+      if (hold) {
+        appointment._id = hold._id;
+      }
+      
+      // Claim the slot atomically, moving on to the next free barber if a concurrent booking won
+      let booked = false;
+      try {
+        for (const staffMember of availableStaff) {
+          appointment.staffId = staffMember._id;
+          
+          if (await slotClaims.saveWithClaim(appointment, serviceDuration)) {
+            booked = true;
+            break;
+          }
+        }
+      } catch (err) {
+        // The same hold was booked by a concurrent request
+        if (hold && err.code === 11000) {
+          return res.status(409).json({ message: 'This hold has already been booked' });
+        }
+        throw err;
+      }
+      
+      if (!booked) {
+        return res.status(409).json({ message: 'The selected time slot is no longer available' });
+      }
+      
+      // Use up the hold only once the appointment is saved, so a failed booking keeps it
+      if (hold) {
+        await SlotHold.deleteOne({ _id: hold._id });
+      }
       
-      // Add loyalty points to user
-      if (service.loyaltyPointsEarned > 0) {
+      // A waitlist offer booked through its hold is fulfilled
+      if (hold && hold.waitlistId) {
+        await Waitlist.updateOne(
+          { _id: hold.waitlistId, status: 'notified' },
+          { $set: { status: 'booked', updatedAt: new Date() } }
+        );
+      }
+      
+      // Add loyalty points to user, counted per service
+      const loyaltyPoints = serviceUtils.getLoyaltyPoints(services);
+      if (loyaltyPoints > 0) {
         await User.findByIdAndUpdate(
           bookingUserId,
-          { $inc: { loyaltyPoints: service.loyaltyPointsEarned } }
+          { $inc: { loyaltyPoints } }
         );
       }
       
@@ -281,15 +628,15 @@ router.post(
       const user = await User.findById(bookingUserId);
       
       if (user.preferences.emailNotifications) {
-        emailService.sendAppointmentConfirmation(user, appointment, service);
+        emailService.sendAppointmentConfirmation(user, appointment, services[0]);
       }
       
       if (user.preferences.smsNotifications) {
-        smsService.sendAppointmentConfirmationSMS(user, appointment, service);
+        smsService.sendAppointmentConfirmationSMS(user, appointment, services[0]);
       }
       
       // Check waitlist and update if needed
-      await updateWaitlistForDate(requestedDate);
+      await waitlistService.updateWaitlistForDate(requestedDate);
       
       res.json(appointment);
     } catch (err) {
@@ -300,14 +647,17 @@ router.post(
 );
 
 // @route   PUT api/appointments/:id
-// @desc    Update an appointment
+// @desc    Update an appointment's status and notes. Status changes follow the transitions allowed
+//          for the user's role and are recorded with an optional reason (admins can pass
+//          overridePolicy: true to bypass the booking policy).
 // @access  Private
 router.put(
   '/:id',
   [
     auth,
     [
-      check('status', 'Status is required').isIn(['pending', 'confirmed', 'cancelled', 'completed', 'no-show'])
+      check('status', 'Status is required').isIn(['pending', 'confirmed', 'cancelled', 'completed', 'no-show']),
+      check('reason', 'Reason must be at most 500 characters').optional().isString().trim().isLength({ max: 500 })
     ]
   ],
   async (req, res) => {
@@ -316,10 +666,11 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { status, notes } = req.body;
+    const { status, notes, reason } = req.body;
     
     try {
-      let appointment = await Appointment.findById(req.params.id);
+      let appointment = await Appointment.findById(req.params.id)
+        .populate('serviceId');
       
       if (!appointment) {
         return res.status(404).json({ message: 'Appointment not found' });
@@ -330,16 +681,81 @@ router.put(
         return res.status(403).json({ message: 'Not authorized' });
       }
       
+      const previousStatus = appointment.status;
+      const wasActive = !INACTIVE_STATUSES.includes(previousStatus);
+      const isActive = !INACTIVE_STATUSES.includes(status);
+      
+      // Only a return to the calendar (e.g. undoing a cancellation) books the slot again; an admin
+      // marking a no-show completed just corrects the record
+      const reopens = !wasActive && noShowService.OPEN_STATUSES.includes(status);
+      
+      // Like DELETE, an appointment that has started can no longer be cancelled
+      if (wasActive && status === 'cancelled' && appointment.appointmentDateTime < new Date()) {
+        return res.status(400).json({ message: 'Cannot cancel past appointments' });
+      }
+      
+      // Move to the new status if the user's role allows it, recording the change
+      const statusError = appointmentService.changeStatus(
+        appointment,
+        status,
+        appointmentService.getStatusChange(req, reason)
+      );
+      
+      if (statusError) {
+        return res.status(400).json({ message: statusError });
+      }
+      
+      // Cancelling falls under the change cutoff and reactivating under the booking rules,
+      // unless an admin overrides the policy
+      if (!bookingPolicy.isOverride(req)) {
+        const policy = await bookingPolicy.getPolicy();
+        let policyError = null;
+        
+        if (wasActive && status === 'cancelled') {
+          policyError = bookingPolicy.checkChangeAllowed(policy, appointment);
+        } else if (reopens) {
+          policyError = await bookingPolicy.checkBooking(policy, {
+            userId: appointment.userId,
+            dateTime: appointment.appointmentDateTime,
+            excludeAppointmentIds: appointment._id
+          });
+        }
+        
+        if (policyError) {
+          return res.status(400).json({ message: policyError });
+        }
+      }
+      
       // Update fields
-      appointment.status = status;
       if (notes) appointment.notes = notes;
       appointment.updatedAt = Date.now();
       
-      await appointment.save();
+      if (reopens) {
+        // Reactivating an appointment has to claim its slot again
+        const booked = await slotClaims.saveWithClaim(appointment, serviceUtils.getAppointmentDuration(appointment));
+        if (!booked) {
+          return res.status(409).json({ message: 'The appointment time slot has been taken by another booking' });
+        }
+      } else {
+        await appointment.save();
+        
+        if (wasActive && !isActive) {
+          await slotClaims.release(appointment._id);
+        }
+      }
+      
+      // Keep the client's no-show count in step
+      await noShowService.recordStatusChange(appointment.userId, previousStatus, status);
       
-      // If appointment was cancelled, check waitlist
+      // If appointment was cancelled, let the people involved know and check waitlist
       if (status === 'cancelled') {
-        await updateWaitlistForDate(appointment.date);
+        if (wasActive) {
+          await appointmentService.notifyCancellation(appointment, {
+            cancelledBy: appointmentService.getActor(req, appointment)
+          });
+        }
+        
+        await waitlistService.updateWaitlistForDate(appointment.date);
       }
       
       res.json(appointment);
@@ -362,7 +778,7 @@ router.put(
     auth,
     [
       check('date', 'Date is required').not().isEmpty(),
-      check('timeSlot', 'Time slot is required').not().isEmpty()
+      check('timeSlot', 'Time slot must be in HH:MM format').matches(/^([01]\d|2[0-3]):[0-5]\d$/)
     ]
   ],
   async (req, res) => {
@@ -371,7 +787,7 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { date, timeSlot } = req.body;
+    const { date, timeSlot, staffId } = req.body;
     
     try {
       let appointment = await Appointment.findById(req.params.id)
@@ -386,7 +802,12 @@ router.put(
         return res.status(403).json({ message: 'Not authorized' });
       }
       
-      const requestedDate = new Date(date);
+      // Only open appointments can move; cancelled, missed and completed ones stay where they were
+      if ([...INACTIVE_STATUSES, 'completed'].includes(appointment.status)) {
+        return res.status(400).json({ message: `Cannot reschedule a ${appointment.status} appointment` });
+      }
+      
+      const requestedDate = dateUtils.parseDate(date);
       
       // Check if date is valid
       if (isNaN(requestedDate.getTime())) {
@@ -394,67 +815,109 @@ router.put(
       }
       
       // Check if date is in the past
-      if (requestedDate < new Date().setHours(0, 0, 0, 0)) {
+      if (requestedDate < dateUtils.startOfDay(new Date())) {
+        return res.status(400).json({ message: 'Cannot book appointments in the past' });
+      }
+      
+      // Check if the time slot has already passed today
+      if (dateUtils.combineDateAndTime(requestedDate, timeSlot) < new Date()) {
         return res.status(400).json({ message: 'Cannot book appointments in the past' });
       }
       
-      // Check time slot availability
-      const startOfDay = new Date(requestedDate);
-      startOfDay.setHours(0, 0, 0, 0);
+      // The appointment must be outside the change cutoff, and the new time within the booking
+      // rules, unless an admin overrides the policy
+      if (!bookingPolicy.isOverride(req)) {
+        const policy = await bookingPolicy.getPolicy();
+        const policyError =
+          bookingPolicy.checkChangeAllowed(policy, appointment) ||
+          await bookingPolicy.checkBooking(policy, {
+            userId: appointment.userId,
+            dateTime: dateUtils.combineDateAndTime(requestedDate, timeSlot),
+            excludeAppointmentIds: appointment._id
+          });
+        
+        if (policyError) {
+          return res.status(400).json({ message: policyError });
+        }
+      }
       
-      const endOfDay = new Date(requestedDate);
-      endOfDay.setHours(23, 59, 59, 999);
+      // Check if the shop is open on the requested date
+      const daySchedule = await scheduleUtils.getDaySchedule(requestedDate);
       
-      const existingAppointments = await Appointment.find({
-        _id: { $ne: appointment._id }, // Exclude current appointment
-        date: {
-          $gte: startOfDay,
-          $lte: endOfDay
-        },
-        status: { $nin: ['cancelled', 'no-show'] }
-      }).populate('serviceId');
+      if (!daySchedule.isOpen) {
+        return res.status(400).json({ message: 'Selected date is not a business day' });
+      }
       
-      // Format appointments for the availability check
-      const formattedAppointments = existingAppointments.map(appointment => ({
-        timeSlot: appointment.timeSlot,
-        serviceDuration: appointment.serviceId.duration
-      }));
+      // Keep the same barber unless a different one (or "any") is requested
+      const requestedStaffId = staffId || (appointment.staffId ? appointment.staffId.toString() : undefined);
+      
+      if (requestedStaffId && requestedStaffId !== 'any' && !mongoose.Types.ObjectId.isValid(requestedStaffId)) {
+        return res.status(400).json({ message: 'Invalid staff ID' });
+      }
       
-      // Check if the requested time slot is available
-      const isAvailable = scheduleUtils.isTimeSlotAvailable(
+      const serviceIds = serviceUtils.getAppointmentServices(appointment).map(service => service.serviceId);
+      const serviceDuration = serviceUtils.getAppointmentDuration(appointment);
+      const buffers = serviceUtils.getAppointmentBuffers(appointment);
+      
+      const staffMembers = await scheduleUtils.getEligibleStaff(serviceIds, requestedStaffId);
+      if (staffMembers.length === 0) {
+        return res.status(404).json({ message: 'No barber found for this service' });
+      }
+      
+      // Check time slot availability, excluding the current appointment
+      const bookedSlots = await scheduleUtils.getBookedSlots(requestedDate, appointment._id);
+      const availableStaff = scheduleUtils.getAvailableStaffForSlot(
         timeSlot,
-        formattedAppointments,
-        appointment.serviceId.duration
+        bookedSlots,
+        serviceDuration,
+        daySchedule,
+        staffMembers,
+        buffers
       );
       
-      if (!isAvailable) {
-        return res.status(400).json({ message: 'The selected time slot is no longer available' });
+      if (availableStaff.length === 0) {
+        return sendSlotUnavailable(res, timeSlot, serviceDuration, daySchedule, staffMembers);
       }
       
-      // Store old date for waitlist check
+      // Store the old time for the notifications and waitlist check
       const oldDate = new Date(appointment.date);
+      const oldTimeSlot = appointment.timeSlot;
       
-      // Update appointment
+      // Update appointment, recording the buffers its claims cover
       appointment.date = requestedDate;
       appointment.timeSlot = timeSlot;
-      appointment.updatedAt = Date.now();
-      
-      await appointment.save();
+      appointment.bufferBefore = buffers.bufferBefore;
+      appointment.bufferAfter = buffers.bufferAfter;
       
-      // Send notification to user
-      const user = await User.findById(appointment.userId);
+      // Reminders start over for the new time, and calendars get the update
+      appointment.reminders = [];
+      appointment.reminderSent = false;
+      appointment.calendarSequence += 1;
+      appointment.updatedAt = Date.now();
       
-      if (user.preferences.emailNotifications) {
-        emailService.sendAppointmentConfirmation(user, appointment, appointment.serviceId);
+      // Move the slot claim atomically
+      let booked = false;
+      for (const staffMember of availableStaff) {
+        appointment.staffId = staffMember._id;
+        booked = await slotClaims.saveWithClaim(appointment, serviceDuration);
+        
+        if (booked) break;
       }
       
-      if (user.preferences.smsNotifications) {
-        smsService.sendAppointmentConfirmationSMS(user, appointment, appointment.serviceId);
+      if (!booked) {
+        return res.status(409).json({ message: 'The selected time slot is no longer available' });
       }
       
+      // Tell the client about the new time, and the admins when the client moved it
+      await appointmentService.notifyReschedule(
+        appointment,
+        { date: oldDate, timeSlot: oldTimeSlot },
+        { changedBy: appointmentService.getActor(req, appointment) }
+      );
+      
       // Check waitlist for both old and new dates
-      await updateWaitlistForDate(oldDate);
-      await updateWaitlistForDate(requestedDate);
+      await waitlistService.updateWaitlistForDate(oldDate);
+      await waitlistService.updateWaitlistForDate(requestedDate);
       
       res.json(appointment);
     } catch (err) {
@@ -467,98 +930,18 @@ router.put(
   }
 );
 
-// @route   DELETE api/appointments/:id
-// @desc    Cancel an appointment
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const appointment = await Appointment.findById(req.params.id);
-    
-    if (!appointment) {
-      return res.status(404).json({ message: 'Appointment not found' });
-    }
-    
-    // Check if user is authorized to cancel this appointment
-    if (appointment.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-    
-    // Check if appointment is in the past
-    if (new Date(appointment.date) < new Date()) {
-      return res.status(400).json({ message: 'Cannot cancel past appointments' });
-    }
-    
-    // Update appointment status to cancelled
-    appointment.status = 'cancelled';
-    appointment.updatedAt = Date.now();
-    
-    await appointment.save();
-    
-    // Check waitlist
-    await updateWaitlistForDate(appointment.date);
-    
-    res.json({ message: 'Appointment cancelled' });
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Appointment not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   GET api/appointments/waitlist
-// @desc    Get waitlist for a date (admin only)
+// @route   POST api/appointments/complete
+// @desc    Run automatic completion for the days from `from` to `to`: confirmed appointments that
+//          ended long enough ago and are not flagged for review become completed (admin only)
 // @access  Private/Admin
-router.get('/waitlist', [auth, admin], async (req, res) => {
-  try {
-    const { date } = req.query;
-    
-    if (!date) {
-      return res.status(400).json({ message: 'Date is required' });
-    }
-    
-    const requestedDate = new Date(date);
-    
-    // Check if date is valid
-    if (isNaN(requestedDate.getTime())) {
-      return res.status(400).json({ message: 'Invalid date format' });
-    }
-    
-    const startOfDay = new Date(requestedDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(requestedDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const waitlist = await Waitlist.find({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      status: 'waiting'
-    })
-      .populate('userId', 'firstName lastName email phone')
-      .populate('serviceId')
-      .sort({ createdAt: 1 });
-    
-    res.json(waitlist);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/appointments/waitlist
-// @desc    Join waitlist for a date
-// @access  Private
 router.post(
-  '/waitlist',
+  '/complete',
   [
     auth,
+    admin,
     [
-      check('date', 'Date is required').not().isEmpty(),
-      check('serviceId', 'Service ID is required').not().isEmpty()
+      check('from', 'Start date is required').not().isEmpty(),
+      check('to', 'End date is required').not().isEmpty()
     ]
   ],
   async (req, res) => {
@@ -567,145 +950,115 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { date, serviceId, preferredTimeSlots } = req.body;
-    
     try {
-      const requestedDate = new Date(date);
+      const from = dateUtils.parseDate(req.body.from);
+      const to = dateUtils.parseDate(req.body.to);
       
-      // Check if date is valid
-      if (isNaN(requestedDate.getTime())) {
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
         return res.status(400).json({ message: 'Invalid date format' });
       }
       
-      // Check if date is in the past
-      if (requestedDate < new Date().setHours(0, 0, 0, 0)) {
-        return res.status(400).json({ message: 'Cannot join waitlist for past dates' });
+      if (to < from) {
+        return res.status(400).json({ message: 'End date must not be before start date' });
       }
       
-      // Check if service exists
-      const service = await Service.findById(serviceId);
-      if (!service) {
-        return res.status(404).json({ message: 'Service not found' });
+      if (to > dateUtils.addDays(from, MAX_COMPLETE_RANGE_DAYS - 1)) {
+        return res.status(400).json({ message: `Date range cannot exceed ${MAX_COMPLETE_RANGE_DAYS} days` });
       }
       
-      // Check if user is already on waitlist for this date and service
-      const existingWaitlist = await Waitlist.findOne({
-        userId: req.user.id,
-        serviceId,
-        date: {
-          $gte: new Date(requestedDate).setHours(0, 0, 0, 0),
-          $lte: new Date(requestedDate).setHours(23, 59, 59, 999)
-        },
-        status: 'waiting'
+      const completedCount = await completionService.completePastAppointments({
+        from,
+        to,
+        change: appointmentService.getStatusChange(req, 'Completed automatically')
       });
       
-      if (existingWaitlist) {
-        return res.status(400).json({ message: 'You are already on the waitlist for this date and service' });
+      res.json({ completedCount });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/appointments/:id
+// @desc    Cancel an appointment, with an optional reason for its status history
+// @access  Private
+router.delete(
+  '/:id',
+  [
+    auth,
+    [
+      check('reason', 'Reason must be at most 500 characters').optional().isString().trim().isLength({ max: 500 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const appointment = await Appointment.findById(req.params.id);
+      
+      if (!appointment) {
+        return res.status(404).json({ message: 'Appointment not found' });
       }
       
-      // Create new waitlist entry
-      const newWaitlist = new Waitlist({
-        userId: req.user.id,
-        serviceId,
-        date: requestedDate,
-        preferredTimeSlots: preferredTimeSlots || []
+      // Check if user is authorized to cancel this appointment
+      if (appointment.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+      
+      const cancelError = await appointmentService.cancelAppointment(appointment, {
+        overridePolicy: bookingPolicy.isOverride(req),
+        cancelledBy: appointmentService.getActor(req, appointment),
+        change: appointmentService.getStatusChange(req, req.body.reason)
       });
       
-      const waitlist = await newWaitlist.save();
+      if (cancelError) {
+        return res.status(400).json({ message: cancelError });
+      }
       
-      res.json(waitlist);
+      res.json({ message: 'Appointment cancelled' });
     } catch (err) {
       console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Appointment not found' });
+      }
       res.status(500).send('Server error');
     }
   }
 );
 
-// Helper function to update waitlist when slots become available
-async function updateWaitlistForDate(date) {
-  try {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    // Get waitlist entries for the date
-    const waitlistEntries = await Waitlist.find({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      status: 'waiting'
-    })
-      .populate('userId')
-      .populate('serviceId')
-      .sort({ createdAt: 1 });
-    
-    if (waitlistEntries.length === 0) {
-      return;
-    }
-    
-    // Get existing appointments for the date
-    const existingAppointments = await Appointment.find({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      status: { $nin: ['cancelled', 'no-show'] }
-    }).populate('serviceId');
-    
-    // Format appointments for the availability check
-    const formattedAppointments = existingAppointments.map(appointment => ({
-      timeSlot: appointment.timeSlot,
-      serviceDuration: appointment.serviceId.duration
-    }));
-    
-    // Check available slots for each waitlist entry
-    for (const entry of waitlistEntries) {
-      // Get available time slots for this service
-      const availableSlots = scheduleUtils.getAvailableTimeSlots(
-        date,
-        formattedAppointments,
-        entry.serviceId.duration
-      );
-      
-      if (availableSlots.length > 0) {
-        // Find a preferred time slot if specified
-        let selectedSlot = availableSlots[0]; // Default to first available
-        
-        if (entry.preferredTimeSlots && entry.preferredTimeSlots.length > 0) {
-          for (const preferredSlot of entry.preferredTimeSlots) {
-            if (availableSlots.includes(preferredSlot)) {
-              selectedSlot = preferredSlot;
-              break;
-            }
-          }
-        }
-        
-        // Update waitlist entry status
-        entry.status = 'notified';
-        entry.notifiedAt = Date.now();
-        await entry.save();
-        
-        // Notify user
-        if (entry.userId.preferences.emailNotifications) {
-          // Send email notification
-        }
-        
-        if (entry.userId.preferences.smsNotifications) {
-          smsService.sendWaitlistNotificationSMS(
-            entry.userId,
-            entry.serviceId,
-            date,
-            selectedSlot
-          );
-        }
-      }
-    }
-  } catch (err) {
-    console.error('Error updating waitlist:', err);
+// Helper function to summarize a barber for API responses
+function formatStaffSummary(staff) {
+  if (!staff || !staff._id) {
+    return null;
+  }
+  
+  return {
+    _id: staff._id,
+    firstName: staff.firstName,
+    lastName: staff.lastName
+  };
+}
+
+// Helper function to respond when no barber is free for a requested time slot
+function sendSlotUnavailable(res, timeSlot, serviceDuration, daySchedule, staffMembers) {
+  // Without any bookings the slot would fit, so it is taken rather than outside business hours
+  const withinHours = scheduleUtils.getAvailableStaffForSlot(
+    timeSlot,
+    [],
+    serviceDuration,
+    daySchedule,
+    staffMembers
+  ).length > 0;
+  
+  if (!withinHours) {
+    return res.status(400).json({ message: 'The selected time slot is outside business hours' });
   }
+  
+  return res.status(409).json({ message: 'The selected time slot is no longer available' });
 }
 
 module.exports = router;
@@ -4,10 +4,30 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
-const generateToken = require('../utils/jwtGenerator');
+const sessionService = require('../utils/sessionService');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
 const crypto = require('crypto');
 const emailService = require('../utils/emailService');
+const lockoutService = require('../utils/lockoutService');
+const dateUtils = require('../utils/dateUtils');
+
+// Get the account a request is about, by the email address it names
+const getEmailKey = (req) => String((req.body && req.body.email) || '').trim().toLowerCase();
+
+// Attempt limits by IP and by account (or reset token)
+const loginLimits = [
+  rateLimit({ name: 'login:ip', windowMinutes: 15, max: 20, keyFor: req => req.ip }),
+  rateLimit({ name: 'login:account', windowMinutes: 15, max: 10, keyFor: getEmailKey })
+];
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-password:ip', windowMinutes: 60, max: 10, keyFor: req => req.ip }),
+  rateLimit({ name: 'forgot-password:account', windowMinutes: 60, max: 3, keyFor: getEmailKey })
+];
+const resetPasswordLimits = [
+  rateLimit({ name: 'reset-password:ip', windowMinutes: 60, max: 10, keyFor: req => req.ip }),
+  rateLimit({ name: 'reset-password:token', windowMinutes: 60, max: 5, keyFor: req => req.body && req.body.token })
+];
 
 // @route   POST api/auth/register
 // @desc    Register a user
@@ -47,11 +67,12 @@ router.post(
 
       await user.save();
 
-      // Generate JWT
-      const token = generateToken(user.id, user.role);
+      // Open a session with an access token and a refresh token
+      const { token, refreshToken } = await sessionService.createSession(user, req);
 
       res.json({
         token,
+        refreshToken,
         user: {
           id: user.id,
           firstName: user.firstName,
@@ -71,12 +92,23 @@ router.post(
   }
 );
 
+// Refuse a sign-in to a locked account
+const sendLocked = (res, lockedUntil) => {
+  res.set('Retry-After', String(Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))));
+  res.status(423).json({
+    message: `Account is locked after too many failed sign-in attempts. Try again after ${dateUtils.toTimeSlot(lockedUntil)} or reset your password.`,
+    lockedUntil
+  });
+};
+
 // @route   POST api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token. Attempts are limited by IP and by account, and too many
+//          failed attempts lock the account for a while.
 // @access  Public
 router.post(
   '/login',
   [
+    ...loginLimits,
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password is required').exists()
   ],
@@ -95,17 +127,30 @@ router.post(
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
+      // A locked account cannot sign in, even with the right password
+      if (lockoutService.isLocked(user)) {
+        return sendLocked(res, user.lockedUntil);
+      }
+
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        const lockedUntil = await lockoutService.recordFailedLogin(user);
+        if (lockedUntil) {
+          return sendLocked(res, lockedUntil);
+        }
+
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
-      // Generate JWT
-      const token = generateToken(user.id, user.role);
+      await lockoutService.recordSuccessfulLogin(user);
+
+      // Open a session with an access token and a refresh token
+      const { token, refreshToken } = await sessionService.createSession(user, req);
 
       res.json({
         token,
+        refreshToken,
         user: {
           id: user.id,
           firstName: user.firstName,
@@ -145,13 +190,46 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token. Each refresh token
+//          works once; reusing one revokes its session.
+// @access  Public
+router.post(
+  '/refresh',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await sessionService.refreshSession(req.body.refreshToken, req);
+
+      if (!result) {
+        return res.status(401).json({ message: 'Refresh token is not valid' });
+      }
+
+      res.json({
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   POST api/auth/logout
-// @desc    Logout user / Clear token (client-side)
+// @desc    Logout user, revoking the current session
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
   try {
-    // Nothing to do server-side for JWT
-    // Token invalidation is handled client-side
+    await sessionService.revokeSession(req.user.sessionId, 'logout');
+
     res.json({ message: 'Logged out successfully' });
   } catch (err) {
     console.error(err.message);
@@ -159,12 +237,27 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/auth/logout-all
+// @desc    Logout user on all devices, revoking every session
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id, 'logout-all');
+
+    res.json({ message: 'Logged out on all devices', revokedCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   POST api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
 router.post(
   '/forgot-password',
   [
+    ...forgotPasswordLimits,
     check('email', 'Please include a valid email').isEmail()
   ],
   async (req, res) => {
@@ -191,7 +284,7 @@ router.post(
       await user.save();
 
       // Send reset email
-      const emailSent = await emailService.sendPasswordResetEmail(user, resetToken);
+      const emailSent = await emailService.sendPasswordResetEmail(user);
       
       if (emailSent) {
         res.json({ message: 'Password reset email sent' });
@@ -211,6 +304,7 @@ router.post(
 router.post(
   '/reset-password',
   [
+    ...resetPasswordLimits,
     check('token', 'Token is required').not().isEmpty(),
     check('password', 'Password must be at least 8 characters').isLength({ min: 8 })
   ],
@@ -240,6 +334,12 @@ router.post(
       
       await user.save();
 
+      // Proving ownership of the email address also unlocks the account
+      await lockoutService.clearLockout(user._id);
+
+      // Sign out every device that used the old password
+      await sessionService.revokeAllSessions(user._id, 'password-change');
+
       res.json({ message: 'Password has been reset' });
     } catch (err) {
       console.error(err.message);
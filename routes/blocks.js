@@ -0,0 +1,247 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const BlockedPeriod = require('../models/BlockedPeriod');
+const Staff = require('../models/Staff');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const scheduleUtils = require('../utils/scheduleUtils');
+const dateUtils = require('../utils/dateUtils');
+const waitlistService = require('../utils/waitlistService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate blocked period fields from a request body, returning { error } or { data }
+const buildBlockData = async ({ staffId, date, daysOfWeek, startTime, endTime, reason }) => {
+  if (!TIME_PATTERN.test(startTime || '') || !(TIME_PATTERN.test(endTime || '') || endTime === '24:00')) {
+    return { error: 'Block times must be in HH:MM format' };
+  }
+
+  if (scheduleUtils.timeToMinutes(startTime) >= scheduleUtils.timeToMinutes(endTime)) {
+    return { error: 'Block start time must be before its end time' };
+  }
+
+  let blockDate;
+  if (date) {
+    blockDate = dateUtils.parseDate(date);
+    if (isNaN(blockDate.getTime())) {
+      return { error: 'Invalid date format' };
+    }
+  }
+
+  const weekdays = daysOfWeek ? [].concat(daysOfWeek).map(day => parseInt(day, 10)) : [];
+  if (weekdays.some(day => isNaN(day) || day < 0 || day > 6)) {
+    return { error: 'Weekdays must be between 0 and 6' };
+  }
+
+  if (blockDate && weekdays.length > 0) {
+    return { error: 'A block either falls on a date or repeats on weekdays, not both' };
+  }
+
+  if (staffId) {
+    const staff = mongoose.Types.ObjectId.isValid(staffId) ? await Staff.findById(staffId) : null;
+    if (!staff) {
+      return { error: 'Staff member not found' };
+    }
+  }
+
+  return {
+    data: {
+      staffId: staffId || undefined,
+      date: blockDate,
+      daysOfWeek: [...new Set(weekdays)].sort((a, b) => a - b),
+      startTime,
+      endTime,
+      reason
+    }
+  };
+};
+
+// @route   GET api/blocks
+// @desc    Get blocked periods, optionally for one barber (recurring blocks are always included,
+//          one-off blocks can be limited to a date range)
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { staffId, from, to } = req.query;
+    const dateQuery = {};
+
+    if (from) {
+      const fromDate = dateUtils.parseDate(from);
+      if (isNaN(fromDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+      dateQuery.$gte = fromDate;
+    }
+
+    if (to) {
+      const toDate = dateUtils.parseDate(to);
+      if (isNaN(toDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+      dateQuery.$lte = dateUtils.endOfDay(toDate);
+    }
+
+    const query = Object.keys(dateQuery).length > 0
+      ? { $or: [{ date: null }, { date: dateQuery }] }
+      : {};
+
+    if (staffId) {
+      if (!mongoose.Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({ message: 'Invalid staff ID' });
+      }
+      query.staffId = staffId;
+    }
+
+    const blocks = await BlockedPeriod.find(query)
+      .populate('staffId', 'firstName lastName')
+      .sort({ date: 1, startTime: 1 });
+
+    res.json(blocks);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/blocks/:id
+// @desc    Get a blocked period
+// @access  Private/Admin
+router.get('/:id', [auth, admin], async (req, res) => {
+  try {
+    const block = await BlockedPeriod.findById(req.params.id)
+      .populate('staffId', 'firstName lastName');
+
+    if (!block) {
+      return res.status(404).json({ message: 'Blocked period not found' });
+    }
+
+    res.json(block);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Blocked period not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/blocks
+// @desc    Create a blocked period: a one-off block on a date, or a recurring break on weekdays
+//          (every day when none are given), for the whole shop or one barber
+// @access  Private/Admin
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('startTime', 'Start time is required').not().isEmpty(),
+      check('endTime', 'End time is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { error, data } = await buildBlockData(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const block = await new BlockedPeriod(data).save();
+
+      res.json(block);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/blocks/:id
+// @desc    Update a blocked period
+// @access  Private/Admin
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('startTime', 'Start time is required').not().isEmpty(),
+      check('endTime', 'End time is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const block = await BlockedPeriod.findById(req.params.id);
+
+      if (!block) {
+        return res.status(404).json({ message: 'Blocked period not found' });
+      }
+
+      const { error, data } = await buildBlockData(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const previousDate = block.date;
+
+      block.set(data);
+      await block.save();
+
+      // Time may have been freed up on the old date
+      if (previousDate) {
+        await waitlistService.updateWaitlistForDate(previousDate);
+      }
+
+      res.json(block);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Blocked period not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/blocks/:id
+// @desc    Delete a blocked period
+// @access  Private/Admin
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const block = await BlockedPeriod.findById(req.params.id);
+
+    if (!block) {
+      return res.status(404).json({ message: 'Blocked period not found' });
+    }
+
+    await block.deleteOne();
+
+    // The freed time may suit someone on the waitlist
+    if (block.date) {
+      await waitlistService.updateWaitlistForDate(block.date);
+    }
+
+    res.json({ message: 'Blocked period removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Blocked period not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const dateUtils = require('../utils/dateUtils');
+const serviceUtils = require('../utils/serviceUtils');
+const icalendar = require('../utils/icalendar');
+
+// Days of past and upcoming appointments in the shop feed
+const SHOP_FEED_PAST_DAYS = 7;
+const SHOP_FEED_DAYS = 90;
+
+// Get the base URL feeds are served from
+const getBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// Get one of the user's feed tokens (calendarToken for the personal feed, shopCalendarToken for
+// the shop feed), creating one (or a new one when reset is set) if needed
+const getCalendarToken = async (userId, field, reset = false) => {
+  const user = await User.findById(userId).select(`+${field}`);
+
+  if (!user[field] || reset) {
+    user[field] = crypto.randomBytes(24).toString('hex');
+    await user.save();
+  }
+
+  return user[field];
+};
+
+// Send calendar data
+const sendCalendar = (res, calendar) => {
+  res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+  res.type('text/calendar; charset=utf-8').send(calendar);
+};
+
+// @route   GET api/calendar/feed
+// @desc    Get the current user's personal calendar feed URL for subscribing in a calendar app
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.id, 'calendarToken');
+    res.json({ url: `${getBaseUrl(req)}/api/calendar/feed/${token}.ics` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/calendar/feed/reset
+// @desc    Replace the current user's personal calendar feed URL; the old one stops working
+// @access  Private
+router.post('/feed/reset', auth, async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.id, 'calendarToken', true);
+    res.json({ url: `${getBaseUrl(req)}/api/calendar/feed/${token}.ics` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/calendar/feed/:token.ics
+// @desc    Calendar feed of a user's upcoming appointments
+// @access  Public (the token in the URL identifies the user)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const appointments = await Appointment.find({
+      userId: user._id,
+      status: { $in: ['pending', 'confirmed'] },
+      date: { $gte: dateUtils.startOfDay(new Date()) }
+    })
+      .populate('serviceId')
+      .sort({ date: 1, timeSlot: 1 });
+
+    const events = appointments.map(appointment =>
+      icalendar.buildEvent(appointment, serviceUtils.getAppointmentServices(appointment), {
+        description: appointment.notes
+      })
+    );
+
+    sendCalendar(res, icalendar.buildCalendar(events, { name: 'Matan Elbaz Barbershop' }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/calendar/shop
+// @desc    Get the URL of the whole shop's calendar feed
+// @access  Private/Admin
+router.get('/shop', [auth, admin], async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.id, 'shopCalendarToken');
+    res.json({ url: `${getBaseUrl(req)}/api/calendar/shop/${token}.ics` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/calendar/shop/reset
+// @desc    Replace the current admin's shop calendar feed URL; the old one stops working
+// @access  Private/Admin
+router.post('/shop/reset', [auth, admin], async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.id, 'shopCalendarToken', true);
+    res.json({ url: `${getBaseUrl(req)}/api/calendar/shop/${token}.ics` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/calendar/shop/:token.ics
+// @desc    Calendar feed of every appointment in the shop, from a week ago to three months ahead
+// @access  Public (the shop feed token in the URL identifies an admin)
+router.get('/shop/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ shopCalendarToken: req.params.token, role: 'admin' });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const today = dateUtils.startOfDay(new Date());
+
+    const appointments = await Appointment.find({
+      status: { $in: ['pending', 'confirmed', 'completed'] },
+      date: {
+        $gte: dateUtils.addDays(today, -SHOP_FEED_PAST_DAYS),
+        $lte: dateUtils.endOfDay(dateUtils.addDays(today, SHOP_FEED_DAYS))
+      }
+    })
+      .populate('userId', 'firstName lastName phone')
+      .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
+      .sort({ date: 1, timeSlot: 1 });
+
+    const events = appointments.map(appointment => {
+      const services = serviceUtils.getAppointmentServices(appointment);
+      const client = appointment.userId;
+      const clientName = client ? `${client.firstName} ${client.lastName}` : 'Unknown client';
+      const staff = appointment.staffId;
+
+      return icalendar.buildEvent(appointment, services, {
+        summary: `${clientName}: ${services.map(service => service.name).join(', ')}`,
+        description: [
+          client && client.phone ? `Phone: ${client.phone}` : null,
+          staff && staff.firstName ? `Barber: ${staff.firstName} ${staff.lastName}` : null,
+          appointment.notes ? `Notes: ${appointment.notes}` : null
+        ].filter(Boolean).join('\n')
+      });
+    });
+
+    sendCalendar(res, icalendar.buildCalendar(events, { name: 'Matan Elbaz Barbershop - Shop' }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
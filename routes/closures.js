@@ -0,0 +1,314 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Closure = require('../models/Closure');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const scheduleUtils = require('../utils/scheduleUtils');
+const dateUtils = require('../utils/dateUtils');
+const icalendar = require('../utils/icalendar');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate closure fields from a request body, returning { error } or { data }
+const buildClosureData = ({ startDate, endDate, startTime, endTime, reason }) => {
+  const start = dateUtils.parseDate(startDate);
+  const end = endDate ? dateUtils.parseDate(endDate) : new Date(start);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+
+  if (end < start) {
+    return { error: 'End date must not be before start date' };
+  }
+
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    return { error: 'Partial-day closures require both a start time and an end time' };
+  }
+
+  if (startTime) {
+    if (!TIME_PATTERN.test(startTime) || !(TIME_PATTERN.test(endTime) || endTime === '24:00')) {
+      return { error: 'Closure times must be in HH:MM format' };
+    }
+
+    if (scheduleUtils.timeToMinutes(startTime) >= scheduleUtils.timeToMinutes(endTime)) {
+      return { error: 'Closure start time must be before its end time' };
+    }
+  }
+
+  return {
+    data: {
+      startDate: start,
+      endDate: end,
+      startTime: startTime || undefined,
+      endTime: endTime || undefined,
+      reason
+    }
+  };
+};
+
+// Convert an imported calendar event into one or more closures
+const eventToClosures = (event) => {
+  const reason = event.summary;
+
+  // All-day events have an exclusive end date
+  if (event.start.isDate) {
+    const startDate = dateUtils.startOfDay(event.start.date);
+    let endDate = new Date(startDate);
+
+    if (event.end) {
+      endDate = dateUtils.addDays(event.end.date, -1);
+    }
+
+    if (endDate < startDate) {
+      endDate = new Date(startDate);
+    }
+
+    return [{ startDate, endDate, reason }];
+  }
+
+  if (!event.end || event.end.date <= event.start.date) {
+    return [];
+  }
+
+  const firstDay = dateUtils.startOfDay(event.start.date);
+  const lastDay = dateUtils.startOfDay(event.end.date);
+  const startTime = dateUtils.toTimeSlot(event.start.date);
+  const endTime = dateUtils.toTimeSlot(event.end.date);
+
+  // Timed event within a single day
+  if (firstDay.getTime() === lastDay.getTime()) {
+    return [{ startDate: firstDay, endDate: lastDay, startTime, endTime, reason }];
+  }
+
+  // Timed event spanning several days: partial first day, full days in between, partial last day
+  const closures = [];
+  let fullStart = firstDay;
+  const fullEnd = dateUtils.addDays(lastDay, -1);
+
+  if (startTime !== '00:00') {
+    closures.push({ startDate: firstDay, endDate: firstDay, startTime, endTime: '24:00', reason });
+    fullStart = dateUtils.addDays(firstDay, 1);
+  }
+
+  if (fullStart <= fullEnd) {
+    closures.push({ startDate: fullStart, endDate: fullEnd, reason });
+  }
+
+  if (endTime !== '00:00') {
+    closures.push({ startDate: lastDay, endDate: lastDay, startTime: '00:00', endTime, reason });
+  }
+
+  return closures;
+};
+
+// @route   GET api/closures
+// @desc    Get closures, optionally within a date range
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const query = {};
+
+    if (from) {
+      const fromDate = dateUtils.parseDate(from);
+      if (isNaN(fromDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+      query.endDate = { $gte: fromDate };
+    }
+
+    if (to) {
+      const toDate = dateUtils.parseDate(to);
+      if (isNaN(toDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+      query.startDate = { $lte: toDate };
+    }
+
+    const closures = await Closure.find(query).sort({ startDate: 1 });
+    res.json(closures);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/closures/import
+// @desc    Import closures from an iCalendar (.ics) file
+// @access  Private/Admin
+router.post(
+  '/import',
+  [auth, admin, express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' })],
+  async (req, res) => {
+    try {
+      const icsText = typeof req.body === 'string' ? req.body : req.body.ics;
+
+      if (!icsText || !icsText.includes('BEGIN:VCALENDAR')) {
+        return res.status(400).json({ message: 'A valid iCalendar file is required' });
+      }
+
+      const events = icalendar.parseEvents(icsText);
+      let imported = 0;
+      let skipped = 0;
+
+      for (const event of events) {
+        const closures = eventToClosures(event);
+
+        if (closures.length === 0) {
+          skipped++;
+          continue;
+        }
+
+        for (let i = 0; i < closures.length; i++) {
+          const closureData = { ...closures[i], source: 'ics' };
+
+          if (event.uid) {
+            // Re-importing the same calendar updates existing closures instead of duplicating them
+            const externalId = closures.length > 1 ? `${event.uid}#${i}` : event.uid;
+            await Closure.findOneAndUpdate(
+              { externalId },
+              { ...closureData, externalId, updatedAt: Date.now() },
+              { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+          } else {
+            await new Closure(closureData).save();
+          }
+
+          imported++;
+        }
+      }
+
+      res.json({ imported, skipped });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/closures/:id
+// @desc    Get closure by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    res.json(closure);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/closures
+// @desc    Create a closure (single date, date range or partial day)
+// @access  Private/Admin
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('startDate', 'Start date is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { error, data } = buildClosureData(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const closure = await new Closure(data).save();
+
+      res.json(closure);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/closures/:id
+// @desc    Update a closure
+// @access  Private/Admin
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('startDate', 'Start date is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const closure = await Closure.findById(req.params.id);
+
+      if (!closure) {
+        return res.status(404).json({ message: 'Closure not found' });
+      }
+
+      const { error, data } = buildClosureData(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      closure.set(data);
+      await closure.save();
+
+      res.json(closure);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Closure not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/closures/:id
+// @desc    Delete a closure
+// @access  Private/Admin
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    await closure.deleteOne();
+
+    res.json({ message: 'Closure removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
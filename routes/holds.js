@@ -0,0 +1,213 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const SlotHold = require('../models/SlotHold');
+const auth = require('../middleware/auth');
+const scheduleUtils = require('../utils/scheduleUtils');
+const dateUtils = require('../utils/dateUtils');
+const serviceUtils = require('../utils/serviceUtils');
+const slotHolds = require('../utils/slotHolds');
+const bookingPolicy = require('../utils/bookingPolicy');
+const noShowService = require('../utils/noShowService');
+
+// How long a slot stays held while the client completes the booking, in minutes
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10;
+
+// Load an active hold owned by the current user, sending a 404 and resolving to null otherwise
+const loadHold = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Hold not found' });
+    return null;
+  }
+
+  const hold = await SlotHold.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!hold) {
+    res.status(404).json({ message: 'Hold not found' });
+    return null;
+  }
+
+  return hold;
+};
+
+// @route   GET api/appointments/holds
+// @desc    Get the current user's active holds
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const holds = await SlotHold.find({
+      userId: req.user.id,
+      expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: 1 });
+
+    res.json(holds);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/appointments/holds/:id
+// @desc    Get an active hold
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const hold = await loadHold(req, res);
+    if (!hold) return;
+
+    res.json(hold);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/appointments/holds
+// @desc    Hold a slot for a few minutes while the client completes the booking. A client keeps
+//          one hold at a time, so a new hold replaces the previous one.
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    [
+      check('date', 'Date is required').not().isEmpty(),
+      check('timeSlot', 'Time slot must be in HH:MM format').matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { staffId, date, timeSlot } = req.body;
+
+    try {
+      // Validate services
+      const { serviceIds, error: serviceError } = serviceUtils.parseServiceIds(req.body);
+      if (serviceError) {
+        return res.status(400).json({ message: serviceError });
+      }
+
+      const services = await serviceUtils.loadServices(serviceIds);
+      if (!services) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+
+      const serviceDuration = serviceUtils.getTotalDuration(services);
+      const buffers = serviceUtils.getBuffers(services);
+      const requestedDate = dateUtils.parseDate(date);
+
+      // Check if date is valid
+      if (isNaN(requestedDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+
+      // Check if the time slot has already passed
+      if (dateUtils.combineDateAndTime(requestedDate, timeSlot) < new Date()) {
+        return res.status(400).json({ message: 'Cannot book appointments in the past' });
+      }
+
+      // Clients blocked for no-shows cannot hold slots either
+      if (req.user.role !== 'admin') {
+        const { error: restrictionError } = await noShowService.getBookingRestriction(req.user.id);
+        if (restrictionError) {
+          return res.status(403).json({ message: restrictionError });
+        }
+      }
+
+      // Only hold slots that could be booked under the booking policy
+      if (!bookingPolicy.isOverride(req)) {
+        const policy = await bookingPolicy.getPolicy();
+        const policyError = await bookingPolicy.checkBooking(policy, {
+          userId: req.user.id,
+          dateTime: dateUtils.combineDateAndTime(requestedDate, timeSlot)
+        });
+
+        if (policyError) {
+          return res.status(400).json({ message: policyError });
+        }
+      }
+
+      // Check if the shop is open on the requested date
+      const daySchedule = await scheduleUtils.getDaySchedule(requestedDate);
+
+      if (!daySchedule.isOpen) {
+        return res.status(400).json({ message: 'Selected date is not a business day' });
+      }
+
+      if (staffId && staffId !== 'any' && !mongoose.Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({ message: 'Invalid staff ID' });
+      }
+
+      const staffMembers = await scheduleUtils.getEligibleStaff(serviceIds, staffId);
+      if (staffMembers.length === 0) {
+        return res.status(404).json({ message: 'No barber found for this service' });
+      }
+
+      // Replace the user's previous hold so it does not block the new one (waitlist offers are kept)
+      const previousHolds = await SlotHold.find({ userId: req.user.id, waitlistId: null });
+      for (const previousHold of previousHolds) {
+        await slotHolds.releaseHold(previousHold);
+      }
+
+      const bookedSlots = await scheduleUtils.getBookedSlots(requestedDate);
+      const availableStaff = scheduleUtils.getAvailableStaffForSlot(
+        timeSlot,
+        bookedSlots,
+        serviceDuration,
+        daySchedule,
+        staffMembers,
+        buffers
+      );
+
+      if (availableStaff.length === 0) {
+        return res.status(409).json({ message: 'The selected time slot is not available' });
+      }
+
+      const hold = await slotHolds.createHold({
+        userId: req.user.id,
+        services,
+        date: requestedDate,
+        timeSlot,
+        candidates: availableStaff,
+        expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+      });
+
+      if (!hold) {
+        return res.status(409).json({ message: 'The selected time slot is no longer available' });
+      }
+
+      res.json(hold);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/appointments/holds/:id
+// @desc    Release a hold before it expires
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const hold = await loadHold(req, res);
+    if (!hold) return;
+
+    await slotHolds.releaseHold(hold);
+
+    res.json({ message: 'Hold released' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const lockoutService = require('../utils/lockoutService');
+
+// @route   GET api/lockouts
+// @desc    Get accounts locked after too many failed sign-in attempts
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const users = await User.find({ lockedUntil: { $gt: new Date() } })
+      .select('firstName lastName email phone role lockedAt lockedUntil')
+      .sort({ lockedAt: -1 });
+
+    res.json(users);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/lockouts/:userId
+// @desc    Get an account's lock and the failed sign-ins counted toward locking it
+// @access  Private/Admin
+router.get('/:userId', [auth, admin], async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findById(req.params.userId).select('firstName lastName email lockedAt lockedUntil')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user,
+      locked: lockoutService.isLocked(user),
+      failedAttempts: await lockoutService.getFailedCount(user._id)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/lockouts/:userId
+// @desc    Unlock an account and forget its failed sign-in attempts
+// @access  Private/Admin
+router.delete('/:userId', [auth, admin], async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await lockoutService.clearLockout(req.params.userId)
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Account unlocked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
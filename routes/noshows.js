@@ -0,0 +1,211 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const dateUtils = require('../utils/dateUtils');
+const slotClaims = require('../utils/slotClaims');
+const appointmentService = require('../utils/appointmentService');
+const noShowService = require('../utils/noShowService');
+
+// Load an appointment by the ID in the URL, sending the error response and resolving to null if
+// it cannot be found
+const loadAppointment = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  const appointment = await Appointment.findById(req.params.appointmentId);
+  if (!appointment) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  return appointment;
+};
+
+// Close a flagged appointment with a new status, recording the admin's decision
+const closeAppointment = async (req, res, status) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.appointmentDateTime > new Date()) {
+      return res.status(400).json({ message: 'The appointment has not started yet' });
+    }
+
+    const previousStatus = appointment.status;
+    const statusError = appointmentService.changeStatus(
+      appointment,
+      status,
+      appointmentService.getStatusChange(req, req.body.reason)
+    );
+
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+
+    appointment.updatedAt = Date.now();
+    await appointment.save();
+
+    if (status === 'no-show') {
+      await slotClaims.release(appointment._id);
+    }
+
+    await noShowService.recordStatusChange(appointment.userId, previousStatus, status);
+
+    res.json(appointment);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+const reasonCheck = check('reason', 'Reason must be at most 500 characters').optional().isString().trim().isLength({ max: 500 });
+
+// @route   GET api/no-shows/flagged
+// @desc    Get flagged appointments, waiting for an admin to confirm them as no-shows or mark
+//          them completed
+// @access  Private/Admin
+router.get('/flagged', [auth, admin], async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      status: { $in: noShowService.OPEN_STATUSES },
+      noShowFlaggedAt: { $ne: null }
+    })
+      .populate('userId', 'firstName lastName email phone noShowCount')
+      .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
+      .sort({ date: 1, timeSlot: 1 });
+
+    res.json(appointments);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/no-shows/:appointmentId/flag
+// @desc    Flag an appointment that has started for review, keeping it from being completed
+//          automatically
+// @access  Private/Admin
+router.post('/:appointmentId/flag', [auth, admin], async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    if (!noShowService.OPEN_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({ message: `Cannot flag a ${appointment.status} appointment` });
+    }
+
+    if (appointment.appointmentDateTime > new Date()) {
+      return res.status(400).json({ message: 'The appointment has not started yet' });
+    }
+
+    if (!appointment.noShowFlaggedAt) {
+      appointment.noShowFlaggedAt = new Date();
+      appointment.updatedAt = Date.now();
+      await appointment.save();
+    }
+
+    res.json(appointment);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/no-shows/:appointmentId/confirm
+// @desc    Confirm an appointment as a no-show, counting it against the client
+// @access  Private/Admin
+router.post('/:appointmentId/confirm', [auth, admin, [reasonCheck]], (req, res) => closeAppointment(req, res, 'no-show'));
+
+// @route   POST api/no-shows/:appointmentId/dismiss
+// @desc    Mark a flagged appointment (or one wrongly confirmed as a no-show) as completed
+// @access  Private/Admin
+router.post('/:appointmentId/dismiss', [auth, admin, [reasonCheck]], (req, res) => closeAppointment(req, res, 'completed'));
+
+// @route   GET api/no-shows/approvals
+// @desc    Get upcoming bookings waiting for approval because of the client's no-shows
+// @access  Private/Admin
+router.get('/approvals', [auth, admin], async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      status: 'pending',
+      requiresApproval: true,
+      date: { $gte: dateUtils.startOfDay(new Date()) }
+    })
+      .populate('userId', 'firstName lastName email phone noShowCount')
+      .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
+      .sort({ date: 1, timeSlot: 1 });
+
+    res.json(appointments);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/no-shows/clients
+// @desc    Get clients with no-shows or no-show penalties, most no-shows first
+// @access  Private/Admin
+router.get('/clients', [auth, admin], async (req, res) => {
+  try {
+    const users = await User.find({
+      $or: [
+        { noShowCount: { $gt: 0 } },
+        { 'bookingRestriction.requiresApproval': true },
+        { 'bookingRestriction.blockedUntil': { $gt: new Date() } }
+      ]
+    })
+      .select('firstName lastName email phone noShowCount bookingRestriction')
+      .sort({ noShowCount: -1, lastName: 1 });
+
+    res.json(users);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/no-shows/clients/:userId/penalties
+// @desc    Clear a client's no-show penalties; pass resetCount=true to start their count over
+// @access  Private/Admin
+router.delete('/clients/:userId/penalties', [auth, admin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const resetCount = req.query.resetCount === 'true' || (req.body && req.body.resetCount === true);
+    const user = await noShowService.clearPenalties(req.params.userId, { resetCount });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      noShowCount: user.noShowCount,
+      bookingRestriction: user.bookingRestriction
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
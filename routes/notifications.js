@@ -0,0 +1,105 @@
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const notificationService = require('../utils/notificationService');
+
+// Longest delivery history returned at once
+const MAX_HISTORY = 200;
+
+// @route   GET api/notifications
+// @desc    Get the delivery history, newest first, optionally for one client (userId) or
+//          appointment (appointmentId), by status or channel
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { userId, appointmentId, status, channel } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_HISTORY);
+    const query = {};
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      query.userId = userId;
+    }
+
+    if (appointmentId) {
+      if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+        return res.status(400).json({ message: 'Invalid appointment ID' });
+      }
+      query.appointmentId = appointmentId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (channel) {
+      query.channel = channel;
+    }
+
+    const notifications = await Notification.find(query)
+      .populate('userId', 'firstName lastName email phone')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(notifications);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/notifications/:id
+// @desc    Get a notification with its delivery status
+// @access  Private/Admin
+router.get('/:id', [auth, admin], async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id)
+      .populate('userId', 'firstName lastName email phone');
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/notifications/:id/resend
+// @desc    Send a failed notification again
+// @access  Private/Admin
+router.post('/:id/resend', [auth, admin], async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const resent = await notificationService.resend(notification._id);
+    if (!resent) {
+      return res.status(400).json({ message: 'Only failed notifications can be resent' });
+    }
+
+    res.json(resent);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const transports = require('../utils/transports');
+
+// @route   GET api/outbox
+// @desc    Get messages kept by the memory transport, newest first, optionally for one channel
+//          (email or sms) or recipient (to), and which transport each channel uses
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { channel, to } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+    if (channel && !['email', 'sms'].includes(channel)) {
+      return res.status(400).json({ message: 'Channel must be email or sms' });
+    }
+
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({ message: 'Limit must be a positive number' });
+    }
+
+    res.json({
+      transports: {
+        email: transports.getDriverName('email'),
+        sms: transports.getDriverName('sms')
+      },
+      messages: transports.getOutbox({ channel, to, limit })
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/outbox
+// @desc    Empty the memory transport's outbox
+// @access  Private/Admin
+router.delete('/', [auth, admin], async (req, res) => {
+  try {
+    transports.clearOutbox();
+    res.json({ message: 'Outbox cleared' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
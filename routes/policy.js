@@ -0,0 +1,70 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const BookingPolicy = require('../models/BookingPolicy');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const bookingPolicy = require('../utils/bookingPolicy');
+
+// @route   GET api/booking-policy
+// @desc    Get the booking policy (0 means a rule is off)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const policy = await bookingPolicy.getPolicy();
+    res.json(policy);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/booking-policy
+// @desc    Update the booking policy
+// @access  Private/Admin
+router.put(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('minLeadMinutes', 'Minimum lead time must be a whole number of minutes').optional().isInt({ min: 0 }),
+      check('maxAdvanceDays', 'Booking window must be a whole number of days').optional().isInt({ min: 0 }),
+      check('changeCutoffMinutes', 'Change cutoff must be a whole number of minutes').optional().isInt({ min: 0 }),
+      check('maxFutureAppointments', 'Maximum upcoming appointments must be a whole number').optional().isInt({ min: 0 }),
+      check('noShowApprovalThreshold', 'No-show approval threshold must be a whole number').optional().isInt({ min: 0 }),
+      check('noShowBlockThreshold', 'No-show block threshold must be a whole number').optional().isInt({ min: 0 }),
+      check('noShowBlockDays', 'No-show block period must be a whole number of days').optional().isInt({ min: 0 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let policy = await BookingPolicy.findOne();
+
+      if (!policy) {
+        policy = new BookingPolicy();
+      }
+
+      for (const field of bookingPolicy.POLICY_FIELDS) {
+        if (req.body[field] !== undefined) {
+          policy[field] = parseInt(req.body[field], 10);
+        }
+      }
+
+      await policy.save();
+
+      res.json(policy);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Schedule = require('../models/Schedule');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const scheduleUtils = require('../utils/scheduleUtils');
+
+// @route   GET api/schedule
+// @desc    Get the weekly business hours
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const weeklySchedule = await scheduleUtils.getWeeklySchedule();
+    res.json(weeklySchedule);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/schedule/:dayOfWeek
+// @desc    Get business hours for a weekday (0 = Sunday, 6 = Saturday)
+// @access  Public
+router.get('/:dayOfWeek', async (req, res) => {
+  try {
+    const dayOfWeek = parseInt(req.params.dayOfWeek, 10);
+
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return res.status(400).json({ message: 'Day of week must be between 0 and 6' });
+    }
+
+    const stored = await Schedule.findOne({ dayOfWeek });
+
+    res.json(stored || scheduleUtils.getDefaultDaySchedule(dayOfWeek));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/schedule/:dayOfWeek
+// @desc    Set business hours for a weekday
+// @access  Private/Admin
+router.put(
+  '/:dayOfWeek',
+  [
+    auth,
+    admin,
+    [
+      check('dayOfWeek', 'Day of week must be between 0 and 6').isInt({ min: 0, max: 6 }),
+      check('isOpen', 'isOpen must be a boolean').optional().isBoolean(),
+      check('shifts', 'Shifts must be an array').optional().isArray(),
+      check('slotInterval', 'Slot interval must be at least 5 minutes').optional().isInt({ min: 5 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dayOfWeek = parseInt(req.params.dayOfWeek, 10);
+    const { isOpen, shifts, slotInterval } = req.body;
+
+    try {
+      let schedule = await Schedule.findOne({ dayOfWeek });
+
+      if (!schedule) {
+        schedule = new Schedule(scheduleUtils.getDefaultDaySchedule(dayOfWeek));
+      }
+
+      if (shifts !== undefined) {
+        const shiftError = scheduleUtils.validateShifts(shifts);
+        if (shiftError) {
+          return res.status(400).json({ message: shiftError });
+        }
+
+        schedule.shifts = [...shifts]
+          .sort((a, b) => scheduleUtils.timeToMinutes(a.start) - scheduleUtils.timeToMinutes(b.start))
+          .map(({ start, end }) => ({ start, end }));
+      }
+
+      if (isOpen !== undefined) schedule.isOpen = isOpen;
+      if (slotInterval !== undefined) schedule.slotInterval = slotInterval;
+
+      if (schedule.isOpen && schedule.shifts.length === 0) {
+        return res.status(400).json({ message: 'An open day must have at least one shift' });
+      }
+
+      await schedule.save();
+
+      res.json(schedule);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/schedule/:dayOfWeek
+// @desc    Reset a weekday to the default business hours
+// @access  Private/Admin
+router.delete('/:dayOfWeek', [auth, admin], async (req, res) => {
+  try {
+    const dayOfWeek = parseInt(req.params.dayOfWeek, 10);
+
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return res.status(400).json({ message: 'Day of week must be between 0 and 6' });
+    }
+
+    await Schedule.deleteOne({ dayOfWeek });
+
+    res.json(scheduleUtils.getDefaultDaySchedule(dayOfWeek));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,617 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const scheduleUtils = require('../utils/scheduleUtils');
+const dateUtils = require('../utils/dateUtils');
+const slotClaims = require('../utils/slotClaims');
+const serviceUtils = require('../utils/serviceUtils');
+const bookingPolicy = require('../utils/bookingPolicy');
+const waitlistService = require('../utils/waitlistService');
+const appointmentService = require('../utils/appointmentService');
+const noShowService = require('../utils/noShowService');
+const emailService = require('../utils/emailService');
+const smsService = require('../utils/smsService');
+
+// Most visits a single series can book
+const MAX_OCCURRENCES = 52;
+
+// Get the occurrence dates of a series from its frequency rule and end condition
+const getOccurrenceDates = (startDate, intervalWeeks, occurrenceCount, endDate) => {
+  const dates = [];
+
+  for (let i = 0; i < MAX_OCCURRENCES; i++) {
+    const date = dateUtils.addDays(startDate, i * intervalWeeks * 7);
+
+    if (occurrenceCount && i >= occurrenceCount) break;
+    if (endDate && date > endDate) break;
+
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+// Check every occurrence up front, returning the free barbers and any conflict for each date.
+// Occurrences outside the lead time or booking window of the policy (if given) are conflicts too.
+const checkOccurrences = async (dates, timeSlot, serviceDuration, buffers, staffMembers, excludeAppointmentIds, policy) => {
+  const from = dates[0];
+  const to = dates[dates.length - 1];
+  const daySchedules = await scheduleUtils.getDaySchedules(from, to);
+  const bookedSlotsByDay = await scheduleUtils.getBookedSlotsByDay(from, to, excludeAppointmentIds);
+  const now = new Date();
+
+  const occurrences = dates.map(date => {
+    const dateKey = dateUtils.toDateKey(date);
+    const daySchedule = daySchedules.get(dateKey);
+
+    if (dateUtils.combineDateAndTime(date, timeSlot) < now) {
+      return { date, dateKey, availableStaff: [], conflict: 'Date is in the past' };
+    }
+
+    const policyError = policy && bookingPolicy.checkBookingTime(policy, dateUtils.combineDateAndTime(date, timeSlot), now);
+    if (policyError) {
+      return { date, dateKey, availableStaff: [], conflict: policyError };
+    }
+
+    if (!daySchedule.isOpen) {
+      return { date, dateKey, availableStaff: [], conflict: 'Not a business day' };
+    }
+
+    const availableStaff = scheduleUtils.getAvailableStaffForSlot(
+      timeSlot,
+      bookedSlotsByDay.get(dateKey) || [],
+      serviceDuration,
+      daySchedule,
+      staffMembers,
+      buffers
+    );
+
+    return {
+      date,
+      dateKey,
+      availableStaff,
+      conflict: availableStaff.length === 0 ? 'Time slot is not available' : null
+    };
+  });
+
+  // Prefer a barber who is free for every occurrence so the client keeps the same barber
+  const bookable = occurrences.filter(occurrence => !occurrence.conflict);
+  const sameBarber = bookable.length > 0
+    ? bookable[0].availableStaff.find(staff =>
+      bookable.every(occurrence => occurrence.availableStaff.includes(staff))
+    )
+    : null;
+
+  for (const occurrence of bookable) {
+    if (sameBarber) {
+      occurrence.availableStaff = [sameBarber, ...occurrence.availableStaff.filter(staff => staff !== sameBarber)];
+    }
+  }
+
+  return occurrences;
+};
+
+// Format occurrence conflicts for API responses
+const formatConflicts = (occurrences) => {
+  return occurrences
+    .filter(occurrence => occurrence.conflict)
+    .map(occurrence => ({ date: occurrence.dateKey, reason: occurrence.conflict }));
+};
+
+// Get the future, still active visits of a series
+const getFutureAppointments = async (seriesId) => {
+  const appointments = await Appointment.find({
+    seriesId,
+    date: { $gte: dateUtils.startOfDay(new Date()) },
+    status: { $nin: ['cancelled', 'no-show', 'completed'] }
+  })
+    .populate('serviceId')
+    .sort({ date: 1 });
+
+  const now = new Date();
+  return appointments.filter(appointment => appointment.appointmentDateTime > now);
+};
+
+// Load a series and check that the current user may manage it
+const loadSeries = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Series not found' });
+    return null;
+  }
+
+  const series = await AppointmentSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({ message: 'Series not found' });
+    return null;
+  }
+
+  if (series.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+
+  return series;
+};
+
+// @route   GET api/appointments/series
+// @desc    Get recurring series (own series, or all series for admins)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.id;
+    } else if (req.query.userId) {
+      query.userId = req.query.userId;
+    }
+
+    const series = await AppointmentSeries.find(query)
+      .populate('userId', 'firstName lastName email phone')
+      .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(series);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/appointments/series/:id
+// @desc    Get a recurring series with its visits
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    await series.populate([
+      { path: 'serviceId' },
+      { path: 'staffId', select: 'firstName lastName' }
+    ]);
+
+    const appointments = await Appointment.find({ seriesId: series._id })
+      .populate('staffId', 'firstName lastName')
+      .sort({ date: 1 });
+
+    res.json({ series, appointments });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/appointments/series
+// @desc    Book a recurring series, e.g. the same cut every 3 weeks
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    [
+      check('serviceId', 'Service ID is required').not().isEmpty(),
+      check('startDate', 'Start date is required').not().isEmpty(),
+      check('timeSlot', 'Time slot must be in HH:MM format').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+      check('intervalWeeks', 'Interval must be between 1 and 12 weeks').isInt({ min: 1, max: 12 }),
+      check('occurrenceCount', `Occurrence count must be between 1 and ${MAX_OCCURRENCES}`)
+        .optional()
+        .isInt({ min: 1, max: MAX_OCCURRENCES })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { serviceId, staffId, startDate, timeSlot, occurrenceCount, endDate, notes, userId, skipConflicts } = req.body;
+    const intervalWeeks = parseInt(req.body.intervalWeeks, 10);
+
+    try {
+      // Determine which user ID to use (admin can book for other users)
+      const bookingUserId = req.user.role === 'admin' && userId ? userId : req.user.id;
+
+      if (!occurrenceCount && !endDate) {
+        return res.status(400).json({ message: 'Either an occurrence count or an end date is required' });
+      }
+
+      const firstDate = dateUtils.parseDate(startDate);
+      const lastDate = endDate ? dateUtils.parseDate(endDate) : null;
+
+      // Check if dates are valid
+      if (isNaN(firstDate.getTime()) || (lastDate && isNaN(lastDate.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date format' });
+      }
+
+      if (lastDate && lastDate < firstDate) {
+        return res.status(400).json({ message: 'End date must not be before start date' });
+      }
+
+      // Validate service
+      if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+        return res.status(400).json({ message: 'Invalid service ID' });
+      }
+
+      const service = await Service.findById(serviceId);
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+
+      // Validate user if admin is booking for someone else
+      const user = await User.findById(bookingUserId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Clients with no-show penalties may be blocked from booking or need approval
+      let requiresApproval = false;
+      if (req.user.role !== 'admin') {
+        const restriction = await noShowService.getBookingRestriction(bookingUserId);
+        if (restriction.error) {
+          return res.status(403).json({ message: restriction.error });
+        }
+
+        requiresApproval = restriction.requiresApproval;
+      }
+
+      if (staffId && staffId !== 'any' && !mongoose.Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({ message: 'Invalid staff ID' });
+      }
+
+      const staffMembers = await scheduleUtils.getEligibleStaff(service._id, staffId);
+      if (staffMembers.length === 0) {
+        return res.status(404).json({ message: 'No barber found for this service' });
+      }
+
+      // Check every occurrence before booking any of them, applying the booking policy unless an admin overrides it
+      const policy = bookingPolicy.isOverride(req) ? null : await bookingPolicy.getPolicy();
+      const dates = getOccurrenceDates(firstDate, intervalWeeks, occurrenceCount, lastDate);
+      const occurrences = await checkOccurrences(
+        dates,
+        timeSlot,
+        service.duration,
+        serviceUtils.getBuffers([service]),
+        staffMembers,
+        undefined,
+        policy
+      );
+      const conflicts = formatConflicts(occurrences);
+      const bookable = occurrences.filter(occurrence => !occurrence.conflict);
+
+      if (bookable.length === 0 || (conflicts.length > 0 && !skipConflicts)) {
+        return res.status(409).json({
+          message: 'Some occurrences of the series are not available',
+          conflicts
+        });
+      }
+
+      if (policy) {
+        const limitError = await bookingPolicy.checkFutureLimit(policy, bookingUserId, bookable.length);
+        if (limitError) {
+          return res.status(400).json({ message: limitError });
+        }
+      }
+
+      const series = new AppointmentSeries({
+        userId: bookingUserId,
+        serviceId,
+        staffId: staffId && staffId !== 'any' ? staffId : undefined,
+        startDate: firstDate,
+        timeSlot,
+        intervalWeeks,
+        occurrenceCount: occurrenceCount || undefined,
+        endDate: lastDate || undefined,
+        notes
+      });
+
+      const items = bookable.map(occurrence => ({
+        appointment: new Appointment({
+          userId: bookingUserId,
+          ...serviceUtils.buildAppointmentServices([service]),
+          seriesId: series._id,
+          date: occurrence.date,
+          timeSlot,
+          notes,
+          status: requiresApproval ? 'pending' : 'confirmed',
+          requiresApproval
+        }),
+        candidates: occurrence.availableStaff
+      }));
+
+      // Claim every occurrence atomically before saving anything
+      const reservations = await slotClaims.reserveAll(items, service.duration);
+      if (!reservations) {
+        return res.status(409).json({ message: 'Some occurrences of the series are no longer available' });
+      }
+
+      const appointments = items.map(item => item.appointment);
+
+      try {
+        await series.save();
+        for (const appointment of appointments) {
+          await appointment.save();
+        }
+      } catch (err) {
+        for (const reservation of reservations) {
+          await slotClaims.rollback(reservation);
+        }
+        await Appointment.deleteMany({ seriesId: series._id });
+        await AppointmentSeries.deleteOne({ _id: series._id });
+        throw err;
+      }
+
+      for (const reservation of reservations) {
+        await slotClaims.commit(reservation);
+      }
+
+      // Add loyalty points to user for every booked visit
+      if (service.loyaltyPointsEarned > 0) {
+        await User.findByIdAndUpdate(
+          bookingUserId,
+          { $inc: { loyaltyPoints: service.loyaltyPointsEarned * appointments.length } }
+        );
+      }
+
+      // Confirm the first visit rather than sending one message per occurrence
+      if (user.preferences.emailNotifications) {
+        emailService.sendAppointmentConfirmation(user, appointments[0], service);
+      }
+
+      if (user.preferences.smsNotifications) {
+        smsService.sendAppointmentConfirmationSMS(user, appointments[0], service);
+      }
+
+      res.json({ series, appointments, skipped: conflicts });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/appointments/series/:id/time
+// @desc    Move all future visits of a series to a new time slot
+// @access  Private
+router.put(
+  '/:id/time',
+  [
+    auth,
+    [
+      check('timeSlot', 'Time slot must be in HH:MM format').matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { timeSlot } = req.body;
+
+    try {
+      const series = await loadSeries(req, res);
+      if (!series) return;
+
+      if (series.status !== 'active') {
+        return res.status(400).json({ message: 'Series has been cancelled' });
+      }
+
+      const appointments = await getFutureAppointments(series._id);
+      if (appointments.length === 0) {
+        return res.status(400).json({ message: 'Series has no future visits' });
+      }
+
+      // The service is gone once it has been deleted
+      const service = appointments[0].serviceId;
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+
+      const serviceDuration = serviceUtils.getAppointmentDuration(appointments[0]);
+      const buffers = serviceUtils.getAppointmentBuffers(appointments[0]);
+      const staffMembers = await scheduleUtils.getEligibleStaff(
+        service._id,
+        series.staffId ? series.staffId.toString() : undefined
+      );
+
+      // Check every visit at the new time, ignoring the visits being moved, and apply the booking
+      // policy unless an admin overrides it
+      const policy = bookingPolicy.isOverride(req) ? null : await bookingPolicy.getPolicy();
+      const occurrences = await checkOccurrences(
+        appointments.map(appointment => appointment.date),
+        timeSlot,
+        serviceDuration,
+        buffers,
+        staffMembers,
+        appointments.map(appointment => appointment._id),
+        policy
+      );
+
+      // Visits inside the change cutoff have to stay where they are
+      if (policy) {
+        appointments.forEach((appointment, index) => {
+          occurrences[index].conflict = occurrences[index].conflict || bookingPolicy.checkChangeAllowed(policy, appointment);
+        });
+      }
+
+      const conflicts = formatConflicts(occurrences);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          message: 'Some visits cannot be moved to the new time',
+          conflicts
+        });
+      }
+
+      // Kept to notify the clients, and to put the visits back if moving them fails
+      const originals = appointments.map(appointment => appointment.toObject({ depopulate: true }));
+
+      const items = appointments.map((appointment, index) => {
+        appointment.timeSlot = timeSlot;
+        appointment.bufferBefore = buffers.bufferBefore;
+        appointment.bufferAfter = buffers.bufferAfter;
+        appointment.reminders = [];
+        appointment.reminderSent = false;
+        appointment.calendarSequence += 1;
+        appointment.updatedAt = Date.now();
+        return { appointment, candidates: occurrences[index].availableStaff };
+      });
+
+      // Every new slot is claimed before any visit is saved at its new time
+      const reservations = await slotClaims.reserveAll(items, serviceDuration);
+      if (!reservations) {
+        return res.status(409).json({ message: 'Some visits cannot be moved to the new time' });
+      }
+
+      try {
+        for (const appointment of appointments) {
+          await appointment.save();
+        }
+      } catch (err) {
+        // Put back the visits already moved; their old claims are kept until the commit
+        for (const reservation of reservations) {
+          await slotClaims.rollback(reservation);
+        }
+        for (const original of originals) {
+          await Appointment.replaceOne({ _id: original._id }, original);
+        }
+        throw err;
+      }
+
+      for (const reservation of reservations) {
+        await slotClaims.commit(reservation);
+      }
+
+      series.timeSlot = timeSlot;
+      await series.save();
+
+      // Tell the client about each visit's new time, and the admins when the client moved them
+      for (const [index, appointment] of appointments.entries()) {
+        await appointmentService.notifyReschedule(
+          appointment,
+          { date: appointment.date, timeSlot: originals[index].timeSlot },
+          { changedBy: appointmentService.getActor(req, appointment) }
+        );
+      }
+
+      // The old time slots are free again
+      for (const appointment of appointments) {
+        await waitlistService.updateWaitlistForDate(appointment.date);
+      }
+
+      res.json({ series, appointments });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/appointments/series/:id/skip
+// @desc    Skip (cancel) a single visit of a series
+// @access  Private
+router.post(
+  '/:id/skip',
+  [
+    auth,
+    [
+      check('appointmentId', 'Appointment ID is required').isMongoId()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const series = await loadSeries(req, res);
+      if (!series) return;
+
+      const appointment = await Appointment.findOne({
+        _id: req.body.appointmentId,
+        seriesId: series._id
+      });
+
+      if (!appointment) {
+        return res.status(404).json({ message: 'Appointment not found in this series' });
+      }
+
+      if (['cancelled', 'no-show', 'completed'].includes(appointment.status)) {
+        return res.status(400).json({ message: 'This visit is no longer active' });
+      }
+
+      // Cancel it like any other appointment, checking the cancellation cutoff unless an admin
+      // overrides it
+      const cancelError = await appointmentService.cancelAppointment(appointment, {
+        overridePolicy: bookingPolicy.isOverride(req),
+        cancelledBy: appointmentService.getActor(req, appointment),
+        change: appointmentService.getStatusChange(req, 'Skipped in series')
+      });
+
+      if (cancelError) {
+        return res.status(400).json({ message: cancelError });
+      }
+
+      res.json(appointment);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/appointments/series/:id
+// @desc    Cancel all future visits of a series. Visits inside the cancellation cutoff stay booked
+//          unless an admin overrides the booking policy.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const policy = bookingPolicy.isOverride(req) ? null : await bookingPolicy.getPolicy();
+    const futureAppointments = await getFutureAppointments(series._id);
+    const appointments = policy
+      ? futureAppointments.filter(appointment => !bookingPolicy.checkChangeAllowed(policy, appointment))
+      : futureAppointments;
+
+    // The cutoff was checked above, so each visit is cancelled without checking it again
+    let cancelledCount = 0;
+
+    for (const appointment of appointments) {
+      const cancelError = await appointmentService.cancelAppointment(appointment, {
+        overridePolicy: true,
+        cancelledBy: appointmentService.getActor(req, appointment),
+        change: appointmentService.getStatusChange(req, 'Series cancelled')
+      });
+
+      if (!cancelError) {
+        cancelledCount++;
+      }
+    }
+
+    series.status = 'cancelled';
+    await series.save();
+
+    res.json({
+      message: 'Series cancelled',
+      cancelledCount,
+      keptCount: futureAppointments.length - cancelledCount
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -52,7 +52,9 @@ router.post(
       check('name', 'Name is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
       check('price', 'Price must be a positive number').isFloat({ min: 0 }),
-      check('duration', 'Duration must be a positive number').isInt({ min: 5 })
+      check('duration', 'Duration must be a positive number').isInt({ min: 5 }),
+      check('bufferBefore', 'Buffer before must be a whole number of minutes').optional().isInt({ min: 0 }),
+      check('bufferAfter', 'Buffer after must be a whole number of minutes').optional().isInt({ min: 0 })
     ]
   ],
   async (req, res) => {
@@ -61,7 +63,7 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, price, duration, isActive, loyaltyPointsEarned } = req.body;
+    const { name, description, price, duration, bufferBefore, bufferAfter, isActive, loyaltyPointsEarned } = req.body;
 
     try {
       const newService = new Service({
@@ -69,6 +71,8 @@ router.post(
         description,
         price,
         duration,
+        bufferBefore: bufferBefore || 0,
+        bufferAfter: bufferAfter || 0,
         isActive: isActive !== undefined ? isActive : true,
         loyaltyPointsEarned: loyaltyPointsEarned || 0
       });
@@ -95,7 +99,9 @@ router.put(
       check('name', 'Name is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
       check('price', 'Price must be a positive number').isFloat({ min: 0 }),
-      check('duration', 'Duration must be a positive number').isInt({ min: 5 })
+      check('duration', 'Duration must be a positive number').isInt({ min: 5 }),
+      check('bufferBefore', 'Buffer before must be a whole number of minutes').optional().isInt({ min: 0 }),
+      check('bufferAfter', 'Buffer after must be a whole number of minutes').optional().isInt({ min: 0 })
     ]
   ],
   async (req, res) => {
@@ -104,7 +110,7 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, price, duration, isActive, loyaltyPointsEarned } = req.body;
+    const { name, description, price, duration, bufferBefore, bufferAfter, isActive, loyaltyPointsEarned } = req.body;
 
     try {
       let service = await Service.findById(req.params.id);
@@ -117,6 +123,8 @@ router.put(
       service.description = description;
       service.price = price;
       service.duration = duration;
+      service.bufferBefore = bufferBefore !== undefined ? bufferBefore : service.bufferBefore;
+      service.bufferAfter = bufferAfter !== undefined ? bufferAfter : service.bufferAfter;
       service.isActive = isActive !== undefined ? isActive : service.isActive;
       service.loyaltyPointsEarned = loyaltyPointsEarned !== undefined ? loyaltyPointsEarned : service.loyaltyPointsEarned;
       service.updatedAt = Date.now();
@@ -0,0 +1,148 @@
+
+const express = require('express');
+const router = express.Router();
+const twilio = require('twilio');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const dateUtils = require('../utils/dateUtils');
+const templates = require('../utils/notificationTemplates');
+const appointmentService = require('../utils/appointmentService');
+
+// Replies that confirm or cancel the client's next appointment
+const CONFIRM_REPLIES = ['C', '1', 'CONFIRM'];
+const CANCEL_REPLIES = ['X', '2', 'CANCEL'];
+
+// Reduce a phone number to its local digits, so +972 50-123-4567 and 050-1234567 match
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.startsWith('972') ? `0${digits.slice(3)}` : digits;
+};
+
+// Find the users registered with a phone number
+const findUsersByPhone = async (phone) => {
+  const normalized = normalizePhone(phone);
+  if (normalized.length < 7) {
+    return [];
+  }
+
+  // Narrow the search down by the last seven digits, allowing separators between them
+  const pattern = normalized.slice(-7).split('').join('\\D*') + '\\D*$';
+  const users = await User.find({ phone: { $regex: pattern } });
+
+  return users.filter(user => normalizePhone(user.phone) === normalized);
+};
+
+// Find the next appointment of any of the users that has not started yet
+const findUpcomingAppointment = async (users) => {
+  const now = new Date();
+
+  const appointments = await Appointment.find({
+    userId: { $in: users.map(user => user._id) },
+    status: { $in: ['pending', 'confirmed'] },
+    date: { $gte: dateUtils.startOfDay(now) }
+  }).sort({ date: 1, timeSlot: 1 });
+
+  return appointments.find(appointment => appointment.appointmentDateTime > now) || null;
+};
+
+// Check that a request was signed by Twilio. Set TWILIO_WEBHOOK_URL when the public URL differs from
+// the one this server sees (e.g. behind a proxy); TWILIO_VALIDATE_WEBHOOK=false turns the check off.
+const isFromTwilio = (req) => {
+  if (process.env.TWILIO_VALIDATE_WEBHOOK === 'false') {
+    return true;
+  }
+
+  const url = process.env.TWILIO_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  return twilio.validateRequest(
+    process.env.TWILIO_AUTH_TOKEN || '',
+    req.get('X-Twilio-Signature') || '',
+    url,
+    req.body
+  );
+};
+
+// Render a reply in the user's language
+const renderReply = async (key, user, variables = {}) => {
+  const { text } = await templates.render(key, 'sms', templates.getLanguage(user), {
+    firstName: user ? user.firstName : '',
+    ...variables
+  });
+
+  return text;
+};
+
+// Answer the incoming message with a text message (TwiML)
+const sendReply = (res, text) => {
+  const response = new twilio.twiml.MessagingResponse();
+  response.message(text);
+
+  res.type('text/xml').send(response.toString());
+};
+
+// @route   POST api/sms/inbound
+// @desc    Twilio webhook for incoming text messages. "C" or "1" confirms the sender's next
+//          appointment, "X" or "2" cancels it under the usual cancellation rules.
+// @access  Public (signed by Twilio)
+router.post('/inbound', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    if (!isFromTwilio(req)) {
+      return res.status(403).json({ message: 'Invalid request signature' });
+    }
+
+    const users = await findUsersByPhone(req.body.From);
+    if (users.length === 0) {
+      return sendReply(res, await renderReply('unknownSenderReply', null));
+    }
+
+    const command = String(req.body.Body || '').trim().toUpperCase();
+    const confirm = CONFIRM_REPLIES.includes(command);
+
+    if (!confirm && !CANCEL_REPLIES.includes(command)) {
+      return sendReply(res, await renderReply('smsHelpReply', users[0]));
+    }
+
+    const appointment = await findUpcomingAppointment(users);
+    if (!appointment) {
+      return sendReply(res, await renderReply('noAppointmentReply', users[0]));
+    }
+
+    const user = users.find(candidate => candidate._id.equals(appointment.userId));
+    const language = templates.getLanguage(user);
+    const details = {
+      date: templates.formatDate(appointment.date, language, 'short'),
+      time: appointment.timeSlot
+    };
+
+    if (confirm) {
+      // Bookings made under a no-show penalty are confirmed by the shop
+      if (appointment.requiresApproval && appointment.status === 'pending') {
+        return sendReply(res, await renderReply('approvalPendingReply', user, details));
+      }
+
+      if (appointment.status === 'pending') {
+        appointmentService.changeStatus(appointment, 'confirmed', { userId: user._id, role: 'client', reason: 'SMS reply' });
+        appointment.updatedAt = Date.now();
+        await appointment.save();
+      }
+
+      return sendReply(res, await renderReply('appointmentConfirmedReply', user, details));
+    }
+
+    // The reply tells the client; the admins are notified as usual
+    const cancelError = await appointmentService.cancelAppointment(appointment, {
+      notifyClient: false,
+      change: { userId: user._id, role: 'client', reason: 'SMS reply' }
+    });
+    if (cancelError) {
+      return sendReply(res, await renderReply('cancelRefusedReply', user, { reason: cancelError }));
+    }
+
+    sendReply(res, await renderReply('appointmentCancelledReply', user, details));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+const Service = require('../models/Service');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const scheduleUtils = require('../utils/scheduleUtils');
+
+// Validate a barber's working hours, returning an error message or null
+const validateWorkingHours = (workingHours) => {
+  if (!Array.isArray(workingHours)) {
+    return 'Working hours must be an array';
+  }
+
+  const seenDays = new Set();
+
+  for (const day of workingHours) {
+    if (!Number.isInteger(day.dayOfWeek) || day.dayOfWeek < 0 || day.dayOfWeek > 6) {
+      return 'Day of week must be between 0 and 6';
+    }
+
+    if (seenDays.has(day.dayOfWeek)) {
+      return 'Each day of week may only appear once in working hours';
+    }
+    seenDays.add(day.dayOfWeek);
+
+    if (day.isOpen !== false) {
+      const shiftError = scheduleUtils.validateShifts(day.shifts || []);
+      if (shiftError) {
+        return shiftError;
+      }
+
+      if (!day.shifts || day.shifts.length === 0) {
+        return 'A working day must have at least one shift';
+      }
+    }
+  }
+
+  return null;
+};
+
+// Validate that every service ID refers to an existing service, returning an error message or null
+const validateServices = async (services) => {
+  if (!Array.isArray(services)) {
+    return 'Services must be an array';
+  }
+
+  if (services.some(serviceId => !mongoose.Types.ObjectId.isValid(serviceId))) {
+    return 'Invalid service ID';
+  }
+
+  const count = await Service.countDocuments({ _id: { $in: services } });
+  if (count !== new Set(services.map(String)).size) {
+    return 'Service not found';
+  }
+
+  return null;
+};
+
+// @route   GET api/staff
+// @desc    Get active barbers, optionally only those who perform a service
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = { isActive: true };
+
+    if (req.query.serviceId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.serviceId)) {
+        return res.status(400).json({ message: 'Invalid service ID' });
+      }
+      query.services = req.query.serviceId;
+    }
+
+    const staff = await Staff.find(query)
+      .populate('services', 'name duration price')
+      .sort({ firstName: 1, lastName: 1 });
+
+    res.json(staff);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/staff/:id
+// @desc    Get barber by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id)
+      .populate('services', 'name duration price');
+
+    if (!staff) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    res.json(staff);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/staff
+// @desc    Add a barber
+// @access  Private/Admin
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('firstName', 'First name is required').not().isEmpty(),
+      check('lastName', 'Last name is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { firstName, lastName, userId, bio, services, workingHours, isActive } = req.body;
+
+    try {
+      if (services !== undefined) {
+        const servicesError = await validateServices(services);
+        if (servicesError) {
+          return res.status(400).json({ message: servicesError });
+        }
+      }
+
+      if (workingHours !== undefined) {
+        const workingHoursError = validateWorkingHours(workingHours);
+        if (workingHoursError) {
+          return res.status(400).json({ message: workingHoursError });
+        }
+      }
+
+      const newStaff = new Staff({
+        firstName,
+        lastName,
+        userId,
+        bio,
+        services: services || [],
+        workingHours: workingHours || [],
+        isActive: isActive !== undefined ? isActive : true
+      });
+
+      const staff = await newStaff.save();
+
+      res.json(staff);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/staff/:id
+// @desc    Update a barber, including services and working hours
+// @access  Private/Admin
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('firstName', 'First name is required').optional().not().isEmpty(),
+      check('lastName', 'Last name is required').optional().not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { firstName, lastName, userId, bio, services, workingHours, isActive } = req.body;
+
+    try {
+      const staff = await Staff.findById(req.params.id);
+
+      if (!staff) {
+        return res.status(404).json({ message: 'Staff member not found' });
+      }
+
+      if (services !== undefined) {
+        const servicesError = await validateServices(services);
+        if (servicesError) {
+          return res.status(400).json({ message: servicesError });
+        }
+        staff.services = services;
+      }
+
+      if (workingHours !== undefined) {
+        const workingHoursError = validateWorkingHours(workingHours);
+        if (workingHoursError) {
+          return res.status(400).json({ message: workingHoursError });
+        }
+        staff.workingHours = workingHours;
+      }
+
+      if (firstName !== undefined) staff.firstName = firstName;
+      if (lastName !== undefined) staff.lastName = lastName;
+      if (userId !== undefined) staff.userId = userId;
+      if (bio !== undefined) staff.bio = bio;
+      if (isActive !== undefined) staff.isActive = isActive;
+
+      await staff.save();
+
+      res.json(staff);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Staff member not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/staff/:id
+// @desc    Deactivate a barber (kept for existing appointments)
+// @access  Private/Admin
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id);
+
+    if (!staff) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    staff.isActive = false;
+    await staff.save();
+
+    res.json({ message: 'Staff member deactivated' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const templates = require('../utils/notificationTemplates');
+
+// Check the notification, channel and language in the URL, sending a 404 and returning false otherwise
+const checkParams = (req, res) => {
+  const { key, channel, language } = req.params;
+
+  if (!templates.LANGUAGES.includes(language) || !templates.hasTemplate(key, channel)) {
+    res.status(404).json({ message: 'Template not found' });
+    return false;
+  }
+
+  return true;
+};
+
+// Combine a built-in template with the admin's text for it, if any
+const formatTemplate = (template, custom) => ({
+  key: template.key,
+  channel: template.channel,
+  language: template.language,
+  variables: template.variables,
+  subject: custom && custom.subject ? custom.subject : template.subject,
+  body: custom ? custom.body : template.body,
+  customized: Boolean(custom),
+  updatedAt: custom ? custom.updatedAt : undefined
+});
+
+// @route   GET api/templates
+// @desc    Get every notification template with the text currently in use
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const customTemplates = await NotificationTemplate.find();
+
+    const list = templates.listDefaults().map(template => formatTemplate(
+      template,
+      customTemplates.find(custom =>
+        custom.key === template.key && custom.channel === template.channel && custom.language === template.language
+      )
+    ));
+
+    res.json(list);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/templates/:key/:channel/:language
+// @desc    Get a notification template
+// @access  Private/Admin
+router.get('/:key/:channel/:language', [auth, admin], async (req, res) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { key, channel, language } = req.params;
+    const custom = await NotificationTemplate.findOne({ key, channel, language });
+
+    res.json(formatTemplate(
+      { key, channel, language, variables: templates.getVariables(key), ...templates.getDefault(key, channel, language) },
+      custom
+    ));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/templates/:key/:channel/:language
+// @desc    Replace the text of a notification template; text can use the template's {{placeholders}}
+// @access  Private/Admin
+router.put(
+  '/:key/:channel/:language',
+  [
+    auth,
+    admin,
+    [
+      check('body', 'Template text is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!checkParams(req, res)) return;
+
+      const { key, channel, language } = req.params;
+      const { subject, body } = req.body;
+
+      const unknown = templates.findUnknownPlaceholders(key, `${subject || ''} ${body}`);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          message: `Unknown placeholders: ${unknown.join(', ')}. Available: ${templates.getVariables(key).join(', ')}`
+        });
+      }
+
+      let custom = await NotificationTemplate.findOne({ key, channel, language });
+
+      if (!custom) {
+        custom = new NotificationTemplate({ key, channel, language });
+      }
+
+      custom.subject = channel === 'email' ? subject : undefined;
+      custom.body = body;
+      custom.updatedBy = req.user.id;
+
+      await custom.save();
+
+      res.json(formatTemplate(
+        { key, channel, language, variables: templates.getVariables(key), ...templates.getDefault(key, channel, language) },
+        custom
+      ));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/templates/:key/:channel/:language
+// @desc    Go back to the built-in text of a notification template
+// @access  Private/Admin
+router.delete('/:key/:channel/:language', [auth, admin], async (req, res) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { key, channel, language } = req.params;
+    await NotificationTemplate.deleteOne({ key, channel, language });
+
+    res.json({ message: 'Template reset to default' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
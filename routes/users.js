@@ -6,6 +6,8 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const reminderService = require('../utils/reminderService');
+const sessionService = require('../utils/sessionService');
 
 // @route   GET api/users
 // @desc    Get all users (admin only)
@@ -157,6 +159,9 @@ router.put(
       
       await user.save();
 
+      // Sign out every other device; this one stays signed in
+      await sessionService.revokeAllSessions(user._id, 'password-change', req.user.sessionId);
+
       res.json({ message: 'Password updated successfully' });
     } catch (err) {
       console.error(err.message);
@@ -170,7 +175,7 @@ router.put(
 // @access  Private
 router.put('/preferences', auth, async (req, res) => {
   try {
-    const { language, theme, emailNotifications, smsNotifications, reminderTime } = req.body;
+    const { language, theme, emailNotifications, smsNotifications, reminderTime, reminderTimes } = req.body;
 
     const updateData = {};
     if (language) updateData['preferences.language'] = language;
@@ -178,6 +183,15 @@ router.put('/preferences', auth, async (req, res) => {
     if (emailNotifications !== undefined) updateData['preferences.emailNotifications'] = emailNotifications;
     if (smsNotifications !== undefined) updateData['preferences.smsNotifications'] = smsNotifications;
     if (reminderTime) updateData['preferences.reminderTime'] = reminderTime;
+
+    // Several reminders per appointment, e.g. [24, 2]; an empty list falls back to reminderTime
+    if (reminderTimes !== undefined) {
+      const reminderError = reminderService.validateReminderHours(reminderTimes);
+      if (reminderError) {
+        return res.status(400).json({ message: reminderError });
+      }
+      updateData['preferences.reminderTimes'] = reminderTimes;
+    }
     
     updateData.updatedAt = Date.now();
 
@@ -250,6 +264,9 @@ router.put(
         return res.status(404).json({ message: 'User not found' });
       }
 
+      // Tokens carry the role, so the user signs in again to get the new one
+      await sessionService.revokeAllSessions(user._id, 'role-change');
+
       res.json(user);
     } catch (err) {
       console.error(err.message);
@@ -335,6 +352,7 @@ router.delete('/:id', [auth, admin], async (req, res) => {
     }
 
     await user.deleteOne();
+    await sessionService.revokeAllSessions(user._id, 'user-deleted');
 
     res.json({ message: 'User removed' });
   } catch (err) {
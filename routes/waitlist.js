@@ -0,0 +1,448 @@
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Waitlist = require('../models/Waitlist');
+const SlotHold = require('../models/SlotHold');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const scheduleUtils = require('../utils/scheduleUtils');
+const dateUtils = require('../utils/dateUtils');
+const serviceUtils = require('../utils/serviceUtils');
+const emailService = require('../utils/emailService');
+const smsService = require('../utils/smsService');
+const slotClaims = require('../utils/slotClaims');
+const waitlistService = require('../utils/waitlistService');
+const noShowService = require('../utils/noShowService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Longest date range a waitlist entry can cover, in days
+const MAX_WAITLIST_DAYS = 60;
+
+// Validate waitlist entry fields from a request body for a service, returning { error } or { data }
+const buildEntryData = async ({ date, endDate, daysOfWeek, timeWindows, preferredTimeSlots, staffId }, service) => {
+  const startDate = dateUtils.parseDate(date);
+  const lastDate = endDate ? dateUtils.parseDate(endDate) : startDate;
+
+  if (isNaN(startDate.getTime()) || isNaN(lastDate.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+
+  if (startDate < dateUtils.startOfDay(new Date())) {
+    return { error: 'Cannot join waitlist for past dates' };
+  }
+
+  if (lastDate < startDate) {
+    return { error: 'End date must not be before the start date' };
+  }
+
+  if (lastDate > dateUtils.addDays(startDate, MAX_WAITLIST_DAYS - 1)) {
+    return { error: `A waitlist entry can cover at most ${MAX_WAITLIST_DAYS} days` };
+  }
+
+  const weekdays = daysOfWeek ? [].concat(daysOfWeek).map(day => parseInt(day, 10)) : [];
+  if (weekdays.some(day => isNaN(day) || day < 0 || day > 6)) {
+    return { error: 'Weekdays must be between 0 and 6' };
+  }
+
+  // A single day must be one the shop is open
+  if (lastDate.getTime() === startDate.getTime() && !(await scheduleUtils.isBusinessDay(startDate))) {
+    return { error: 'Selected date is not a business day' };
+  }
+
+  const windows = timeWindows ? [].concat(timeWindows) : [];
+  for (const window of windows) {
+    if (!window || !TIME_PATTERN.test(window.start || '') ||
+        !(TIME_PATTERN.test(window.end || '') || window.end === '24:00')) {
+      return { error: 'Time windows must have start and end times in HH:MM format' };
+    }
+
+    if (scheduleUtils.timeToMinutes(window.start) >= scheduleUtils.timeToMinutes(window.end)) {
+      return { error: 'Time window start must be before its end' };
+    }
+  }
+
+  const preferred = preferredTimeSlots ? [].concat(preferredTimeSlots) : [];
+  if (preferred.some(slot => !TIME_PATTERN.test(slot || ''))) {
+    return { error: 'Preferred time slots must be in HH:MM format' };
+  }
+
+  // Check that the requested barber performs this service
+  if (staffId && staffId !== 'any') {
+    if (!mongoose.Types.ObjectId.isValid(staffId)) {
+      return { error: 'Invalid staff ID' };
+    }
+
+    const staffMembers = await scheduleUtils.getEligibleStaff(service._id, staffId);
+    if (staffMembers.length === 0) {
+      return { error: 'No barber found for this service', status: 404 };
+    }
+  }
+
+  return {
+    data: {
+      staffId: staffId && staffId !== 'any' ? staffId : undefined,
+      date: startDate,
+      endDate: lastDate,
+      daysOfWeek: [...new Set(weekdays)].sort((a, b) => a - b),
+      timeWindows: windows.map(({ start, end }) => ({ start, end })),
+      preferredTimeSlots: preferred
+    }
+  };
+};
+
+// Find another active entry of a user for the same service whose range overlaps the given one
+const findOverlappingEntry = (userId, serviceId, data, excludeId) => {
+  return Waitlist.findOne({
+    _id: { $ne: excludeId },
+    userId,
+    serviceId,
+    status: { $in: ['waiting', 'notified'] },
+    date: { $lte: data.endDate },
+    $or: [
+      { endDate: { $gte: data.date } },
+      { endDate: null, date: { $gte: data.date } }
+    ]
+  });
+};
+
+// Add the entry's place in the queue for API responses
+const withQueuePosition = async (entry) => {
+  return { ...entry.toObject(), queuePosition: await waitlistService.getQueuePosition(entry) };
+};
+
+// Load a waitlist entry the current user may see, sending an error and resolving to null otherwise
+const loadEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Waitlist entry not found' });
+    return null;
+  }
+
+  const entry = await Waitlist.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({ message: 'Waitlist entry not found' });
+    return null;
+  }
+
+  if (entry.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+
+  return entry;
+};
+
+// @route   GET api/appointments/waitlist
+// @desc    Get waitlist entries covering a date, including entries with an open offer (admin only)
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date) {
+      return res.status(400).json({ message: 'Date is required' });
+    }
+
+    const requestedDate = dateUtils.parseDate(date);
+
+    // Check if date is valid
+    if (isNaN(requestedDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+
+    const waitlist = await Waitlist.find(waitlistService.getDateQuery(requestedDate, ['waiting', 'notified']))
+      .populate('userId', 'firstName lastName email phone')
+      .populate('serviceId')
+      .sort({ createdAt: 1 });
+
+    res.json(waitlist.filter(entry => waitlistService.coversDate(entry, requestedDate)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/appointments/waitlist/user
+// @desc    Get the current user's waitlist entries with their place in the queue
+// @access  Private
+router.get('/user', auth, async (req, res) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const entries = await Waitlist.find(query)
+      .populate('serviceId')
+      .populate('staffId', 'firstName lastName')
+      .sort({ date: 1, createdAt: 1 });
+
+    const waitlist = [];
+    for (const entry of entries) {
+      waitlist.push(await withQueuePosition(entry));
+    }
+
+    res.json(waitlist);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/appointments/waitlist/:id
+// @desc    Get a waitlist entry with its place in the queue
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    await entry.populate('serviceId');
+    await entry.populate('staffId', 'firstName lastName');
+
+    res.json(await withQueuePosition(entry));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/appointments/waitlist
+// @desc    Join the waitlist for a date, or for a range of days (endDate) optionally limited to
+//          weekdays (daysOfWeek) and time windows (timeWindows: [{ start, end }])
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    [
+      check('date', 'Date is required').not().isEmpty(),
+      check('serviceId', 'Service ID is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      // Clients blocked for no-shows cannot join the waitlist
+      const { error: restrictionError } = await noShowService.getBookingRestriction(req.user.id);
+      if (restrictionError) {
+        return res.status(403).json({ message: restrictionError });
+      }
+
+      // Check if service exists
+      const service = mongoose.Types.ObjectId.isValid(req.body.serviceId)
+        ? await Service.findById(req.body.serviceId)
+        : null;
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+
+      const { error, status, data } = await buildEntryData(req.body, service);
+      if (error) {
+        return res.status(status || 400).json({ message: error });
+      }
+
+      // Check if user is already on the waitlist for these days and service
+      if (await findOverlappingEntry(req.user.id, service._id, data)) {
+        return res.status(400).json({ message: 'You are already on the waitlist for these dates and service' });
+      }
+
+      const entry = await new Waitlist({
+        userId: req.user.id,
+        serviceId: service._id,
+        ...data
+      }).save();
+
+      res.json(await withQueuePosition(entry));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/appointments/waitlist/:id
+// @desc    Change the days, times or barber of a waiting entry; it keeps its place in the queue
+// @access  Private
+router.put(
+  '/:id',
+  [
+    auth,
+    [
+      check('date', 'Date is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const entry = await loadEntry(req, res);
+      if (!entry) return;
+
+      if (entry.status !== 'waiting') {
+        return res.status(400).json({ message: 'Only waiting entries can be changed' });
+      }
+
+      const service = await Service.findById(entry.serviceId);
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+
+      const { error, status, data } = await buildEntryData(req.body, service);
+      if (error) {
+        return res.status(status || 400).json({ message: error });
+      }
+
+      if (await findOverlappingEntry(entry.userId, service._id, data, entry._id)) {
+        return res.status(400).json({ message: 'You are already on the waitlist for these dates and service' });
+      }
+
+      // Only a waiting entry is changed, so an offer made in the meantime is not overwritten
+      const updated = await Waitlist.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { ...data, staffId: data.staffId || null, updatedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(400).json({ message: 'Only waiting entries can be changed' });
+      }
+
+      res.json(await withQueuePosition(updated));
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/appointments/waitlist/:id
+// @desc    Withdraw from the waitlist; a slot held for the entry is offered to the next person
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    if (!(await waitlistService.withdrawEntry(entry))) {
+      return res.status(400).json({ message: 'Waitlist entry is no longer active' });
+    }
+
+    res.json({ message: 'Removed from the waitlist' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/appointments/waitlist/claim/:token
+// @desc    Claim a waitlist offer through the signed link sent to the client, booking the held slot
+// @access  Public (the link token identifies the offer)
+router.post('/claim/:token', async (req, res) => {
+  try {
+    const offer = waitlistService.verifyOfferToken(req.params.token);
+    if (!offer) {
+      return res.status(400).json({ message: 'Invalid or expired offer link' });
+    }
+
+    const entry = await Waitlist.findById(offer.waitlistId);
+    if (!entry || !entry.offer || !entry.offer.holdId || entry.offer.holdId.toString() !== offer.holdId) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    if (entry.status === 'booked') {
+      return res.status(400).json({ message: 'Offer has already been claimed' });
+    }
+
+    const hold = await SlotHold.findById(entry.offer.holdId);
+    if (entry.status !== 'notified' || !hold || hold.expiresAt <= new Date()) {
+      return res.status(410).json({ message: 'Offer has expired' });
+    }
+
+    const services = await serviceUtils.loadServices(hold.serviceIds);
+    if (!services) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    // The slot was offered by the shop, so the booking policy does not apply; no-show penalties do
+    const restriction = await noShowService.getBookingRestriction(entry.userId);
+    if (restriction.error) {
+      return res.status(403).json({ message: restriction.error });
+    }
+
+    const appointment = new Appointment({
+      userId: entry.userId,
+      ...serviceUtils.buildAppointmentServices(services),
+      staffId: hold.staffId,
+      date: hold.date,
+      timeSlot: hold.timeSlot,
+      status: restriction.requiresApproval ? 'pending' : 'confirmed',
+      requiresApproval: restriction.requiresApproval
+    });
+
+    // The appointment takes over the hold's ID so saving reuses the hold's claims
+    appointment._id = hold._id;
+
+    let booked;
+    try {
+      booked = await slotClaims.saveWithClaim(appointment, appointment.duration);
+    } catch (err) {
+      // The same offer was claimed by a concurrent request
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'Offer has already been claimed' });
+      }
+      throw err;
+    }
+
+    if (!booked) {
+      return res.status(409).json({ message: 'The selected time slot is no longer available' });
+    }
+
+    // Use up the hold only once the appointment is saved, so a failed claim keeps the offer
+    await SlotHold.deleteOne({ _id: hold._id });
+
+    entry.status = 'booked';
+    await entry.save();
+
+    // Add loyalty points to user, counted per service
+    const loyaltyPoints = serviceUtils.getLoyaltyPoints(services);
+    if (loyaltyPoints > 0) {
+      await User.findByIdAndUpdate(
+        entry.userId,
+        { $inc: { loyaltyPoints } }
+      );
+    }
+
+    // Send confirmation email and SMS
+    const user = await User.findById(entry.userId);
+
+    if (user.preferences.emailNotifications) {
+      emailService.sendAppointmentConfirmation(user, appointment, services[0]);
+    }
+
+    if (user.preferences.smsNotifications) {
+      smsService.sendAppointmentConfirmationSMS(user, appointment, services[0]);
+    }
+
+    res.json(appointment);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
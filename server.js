@@ -10,27 +10,114 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const serviceRoutes = require('./routes/services');
 const appointmentRoutes = require('./routes/appointments');
+const seriesRoutes = require('./routes/series');
+const holdRoutes = require('./routes/holds');
+const waitlistRoutes = require('./routes/waitlist');
+const scheduleRoutes = require('./routes/schedule');
+const closureRoutes = require('./routes/closures');
+const staffRoutes = require('./routes/staff');
+const policyRoutes = require('./routes/policy');
+const blockRoutes = require('./routes/blocks');
+const templateRoutes = require('./routes/templates');
+const outboxRoutes = require('./routes/outbox');
+const notificationRoutes = require('./routes/notifications');
+const smsRoutes = require('./routes/sms');
+const calendarRoutes = require('./routes/calendar');
+const noShowRoutes = require('./routes/noshows');
+const lockoutRoutes = require('./routes/lockouts');
+
+// Import background jobs
+const scheduler = require('./utils/scheduler');
+const reminderService = require('./utils/reminderService');
+const waitlistService = require('./utils/waitlistService');
+const notificationService = require('./utils/notificationService');
+const noShowService = require('./utils/noShowService');
+const completionService = require('./utils/completionService');
+const slotClaims = require('./utils/slotClaims');
 
 // Initialize express app
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so rate limits see the client's IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(cors());
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+
+    // Appointments booked before slot claims existed get their claims, once per start
+    slotClaims.backfill()
+      .then(({ claimed, conflicts }) => {
+        if (claimed > 0 || conflicts.length > 0) {
+          console.log(`Slot claims backfilled for ${claimed} appointments; overlapping: ${conflicts.join(', ') || 'none'}`);
+        }
+      })
+      .catch(err => console.error('Error backfilling slot claims:', err.message));
+
+    // Background jobs need the database, so they start once it is connected
+    if (process.env.JOBS_ENABLED !== 'false') {
+      scheduler.start();
+    }
+  })
   .catch(err => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
   });
 
+// Background jobs
+scheduler.register(
+  'reminders',
+  (parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 5) * 60 * 1000,
+  () => reminderService.sendDueReminders()
+);
+scheduler.register(
+  'waitlist-offers',
+  (parseInt(process.env.WAITLIST_INTERVAL_MINUTES, 10) || 1) * 60 * 1000,
+  () => waitlistService.expireOffers()
+);
+scheduler.register(
+  'notifications',
+  (parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES, 10) || 1) * 60 * 1000,
+  () => notificationService.processDue()
+);
+scheduler.register(
+  'no-shows',
+  (parseInt(process.env.NO_SHOW_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+  () => noShowService.flagMissedAppointments()
+);
+scheduler.register(
+  'auto-complete',
+  (parseInt(process.env.AUTO_COMPLETE_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+  () => completionService.completePastAppointments()
+);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/services', serviceRoutes);
+app.use('/api/appointments/series', seriesRoutes);
+app.use('/api/appointments/holds', holdRoutes);
+app.use('/api/appointments/waitlist', waitlistRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/booking-policy', policyRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/no-shows', noShowRoutes);
+app.use('/api/lockouts', lockoutRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
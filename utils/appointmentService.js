@@ -0,0 +1,194 @@
+
+// Appointment changes shared by the API routes and other channels (e.g. SMS replies), and the
+// notifications sent about them
+const User = require('../models/User');
+const Service = require('../models/Service');
+const bookingPolicy = require('./bookingPolicy');
+const slotClaims = require('./slotClaims');
+const waitlistService = require('./waitlistService');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+
+// Status changes allowed for each role. Clients can only confirm or cancel their own upcoming
+// visits; admins can also close a visit, reopen a cancelled one or correct a closed one. The
+// system (scheduled jobs) follows the admin rules.
+const STATUS_TRANSITIONS = {
+  client: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['cancelled']
+  },
+  admin: {
+    pending: ['confirmed', 'cancelled', 'completed', 'no-show'],
+    confirmed: ['pending', 'cancelled', 'completed', 'no-show'],
+    cancelled: ['pending', 'confirmed'],
+    completed: ['no-show'],
+    'no-show': ['completed']
+  }
+};
+
+// Tell whether a role may move an appointment from one status to another
+exports.canChangeStatus = (from, to, role) => {
+  const transitions = STATUS_TRANSITIONS[role === 'client' ? 'client' : 'admin'];
+  return (transitions[from] || []).includes(to);
+};
+
+// Describe who changes a status through a request, and why
+exports.getStatusChange = (req, reason) => ({
+  userId: req.user.id,
+  role: req.user.role === 'admin' ? 'admin' : 'client',
+  reason
+});
+
+// Move an appointment to a new status and record the change in its history; `change` is
+// { userId, role, reason } and defaults to a system change. The appointment is not saved.
+// Returns an error message if the role may not make the change, or null.
+exports.changeStatus = (appointment, status, change = {}) => {
+  const { userId, role = 'system', reason } = change;
+  const from = appointment.status;
+
+  if (from === status) {
+    return null;
+  }
+
+  if (!this.canChangeStatus(from, status, role)) {
+    return `Cannot change a ${from} appointment to ${status}`;
+  }
+
+  // Bookings made under a no-show penalty are confirmed by an admin
+  if (role === 'client' && status === 'confirmed' && appointment.requiresApproval) {
+    return 'This appointment is waiting for approval from the shop';
+  }
+
+  appointment.status = status;
+  appointment.statusHistory.push({ from, to: status, changedBy: userId, role, reason, changedAt: new Date() });
+
+  // Calendars get the new status
+  appointment.calendarSequence += 1;
+
+  return null;
+};
+
+// Tell whether a request changes an appointment as its client or as an admin acting for them
+exports.getActor = (req, appointment) => {
+  const userId = appointment.userId._id || appointment.userId;
+  return req.user.role === 'admin' && userId.toString() !== req.user.id ? 'admin' : 'client';
+};
+
+// Load the client and main service of an appointment for its notifications
+const loadNotificationContext = async (appointment) => {
+  const client = await User.findById(appointment.userId._id || appointment.userId);
+  const service = appointment.populated('serviceId')
+    ? appointment.serviceId
+    : await Service.findById(appointment.serviceId);
+
+  return { client, service };
+};
+
+// Tell the client that an appointment was cancelled, and the admins too when the client cancelled
+exports.notifyCancellation = async (appointment, { cancelledBy = 'client', notifyClient = true } = {}) => {
+  try {
+    const { client, service } = await loadNotificationContext(appointment);
+    if (!client) return;
+
+    if (notifyClient) {
+      if (client.preferences.emailNotifications) {
+        await emailService.sendAppointmentCancellation(client, appointment, service, cancelledBy);
+      }
+
+      if (client.preferences.smsNotifications) {
+        await smsService.sendAppointmentCancellationSMS(client, appointment, service, cancelledBy);
+      }
+    }
+
+    if (cancelledBy === 'client') {
+      const admins = await User.find({ role: 'admin' });
+
+      for (const adminUser of admins) {
+        if (adminUser.preferences.emailNotifications) {
+          await emailService.sendAdminCancellationNotice(adminUser, client, appointment, service);
+        }
+
+        if (adminUser.preferences.smsNotifications) {
+          await smsService.sendAdminCancellationNoticeSMS(adminUser, client, appointment, service);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Error sending cancellation notifications:', err);
+  }
+};
+
+// Tell the client that an appointment moved from its previous time ({ date, timeSlot }), and the
+// admins too when the client moved it
+exports.notifyReschedule = async (appointment, previous, { changedBy = 'client' } = {}) => {
+  try {
+    const { client, service } = await loadNotificationContext(appointment);
+    if (!client) return;
+
+    if (client.preferences.emailNotifications) {
+      await emailService.sendAppointmentReschedule(client, appointment, service, previous);
+    }
+
+    if (client.preferences.smsNotifications) {
+      await smsService.sendAppointmentRescheduleSMS(client, appointment, service, previous);
+    }
+
+    if (changedBy === 'client') {
+      const admins = await User.find({ role: 'admin' });
+
+      for (const adminUser of admins) {
+        if (adminUser.preferences.emailNotifications) {
+          await emailService.sendAdminRescheduleNotice(adminUser, client, appointment, service, previous);
+        }
+
+        if (adminUser.preferences.smsNotifications) {
+          await smsService.sendAdminRescheduleNoticeSMS(adminUser, client, appointment, service, previous);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Error sending reschedule notifications:', err);
+  }
+};
+
+// Cancel an appointment under the cancellation rules, freeing its slot for the waitlist, and send
+// the cancellation notifications. Admins can skip the booking policy with overridePolicy; `change`
+// records who cancelled and why in the status history (see changeStatus).
+// Resolves to an error message or null.
+exports.cancelAppointment = async (appointment, { overridePolicy = false, cancelledBy = 'client', notifyClient = true, change } = {}) => {
+  const wasCancelled = appointment.status === 'cancelled';
+
+  if (!wasCancelled && !this.canChangeStatus(appointment.status, 'cancelled', change ? change.role : 'system')) {
+    return `Cannot cancel a ${appointment.status} appointment`;
+  }
+
+  // Check if appointment is in the past
+  if (appointment.appointmentDateTime < new Date()) {
+    return 'Cannot cancel past appointments';
+  }
+
+  // Check the cancellation cutoff unless an admin overrides it
+  if (!overridePolicy) {
+    const policy = await bookingPolicy.getPolicy();
+    const policyError = bookingPolicy.checkChangeAllowed(policy, appointment);
+
+    if (policyError) {
+      return policyError;
+    }
+  }
+
+  this.changeStatus(appointment, 'cancelled', change);
+  appointment.updatedAt = Date.now();
+
+  await appointment.save();
+  await slotClaims.release(appointment._id);
+
+  if (!wasCancelled) {
+    await this.notifyCancellation(appointment, { cancelledBy, notifyClient });
+  }
+
+  // Check waitlist
+  await waitlistService.updateWaitlistForDate(appointment.date);
+
+  return null;
+};
@@ -0,0 +1,100 @@
+
+// Helper functions for enforcing the shop's booking policy
+const BookingPolicy = require('../models/BookingPolicy');
+const Appointment = require('../models/Appointment');
+const dateUtils = require('./dateUtils');
+
+// Statuses of appointments that count toward a client's upcoming appointments
+const UPCOMING_STATUSES = ['pending', 'confirmed'];
+
+// Policy fields admins can set
+const POLICY_FIELDS = [
+  'minLeadMinutes',
+  'maxAdvanceDays',
+  'changeCutoffMinutes',
+  'maxFutureAppointments',
+  'noShowApprovalThreshold',
+  'noShowBlockThreshold',
+  'noShowBlockDays'
+];
+
+exports.POLICY_FIELDS = POLICY_FIELDS;
+
+// Format a number of minutes for error messages, e.g. "3 hours" or "45 minutes"
+const formatMinutes = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+
+  return `${minutes} minutes`;
+};
+
+// Get the booking policy, falling back to the defaults (every rule off) when none is stored
+exports.getPolicy = async () => {
+  const policy = await BookingPolicy.findOne();
+  return policy || new BookingPolicy();
+};
+
+// Check whether an admin explicitly asked to bypass the policy with overridePolicy=true
+// (in the body, or in the query string for requests without one)
+exports.isOverride = (req) => {
+  const override = req.body && req.body.overridePolicy !== undefined
+    ? req.body.overridePolicy
+    : req.query.overridePolicy;
+
+  return req.user.role === 'admin' && (override === true || override === 'true');
+};
+
+// Check the lead time and booking window for an appointment time, returning an error message or null.
+// `now` can be moved back, e.g. to when a hold on the slot was taken.
+exports.checkBookingTime = (policy, dateTime, now = new Date()) => {
+  if (policy.minLeadMinutes > 0 && dateTime - now < policy.minLeadMinutes * 60 * 1000) {
+    return `Appointments must be booked at least ${formatMinutes(policy.minLeadMinutes)} in advance`;
+  }
+
+  if (policy.maxAdvanceDays > 0 && dateTime > dateUtils.endOfDay(dateUtils.addDays(now, policy.maxAdvanceDays))) {
+    return `Appointments can be booked at most ${policy.maxAdvanceDays} days ahead`;
+  }
+
+  return null;
+};
+
+// Check that a client can book `additional` more appointments without going over the limit of
+// upcoming appointments, returning an error message or null
+exports.checkFutureLimit = async (policy, userId, additional = 1, excludeAppointmentIds = []) => {
+  if (!policy.maxFutureAppointments) {
+    return null;
+  }
+
+  const now = new Date();
+  const appointments = await Appointment.find({
+    userId,
+    _id: { $nin: [].concat(excludeAppointmentIds) },
+    status: { $in: UPCOMING_STATUSES },
+    date: { $gte: dateUtils.startOfDay(now) }
+  }).select('date timeSlot');
+
+  const upcomingCount = appointments.filter(appointment => appointment.appointmentDateTime > now).length;
+
+  if (upcomingCount + additional > policy.maxFutureAppointments) {
+    return `You can have at most ${policy.maxFutureAppointments} upcoming appointments`;
+  }
+
+  return null;
+};
+
+// Check that an appointment is not too close to cancel or reschedule, returning an error message or null
+exports.checkChangeAllowed = (policy, appointment, now = new Date()) => {
+  if (policy.changeCutoffMinutes > 0 && appointment.appointmentDateTime - now < policy.changeCutoffMinutes * 60 * 1000) {
+    return `Appointments cannot be changed within ${formatMinutes(policy.changeCutoffMinutes)} of their start`;
+  }
+
+  return null;
+};
+
+// Check a new booking against every booking rule, returning an error message or null
+exports.checkBooking = async (policy, { userId, dateTime, now, excludeAppointmentIds }) => {
+  return this.checkBookingTime(policy, dateTime, now) ||
+    this.checkFutureLimit(policy, userId, 1, excludeAppointmentIds);
+};
@@ -0,0 +1,68 @@
+
+// Automatic completion of past appointments. A confirmed appointment becomes completed a while
+// after it ends, unless it was flagged for review (see noShowService).
+const Appointment = require('../models/Appointment');
+const appointmentService = require('./appointmentService');
+const dateUtils = require('./dateUtils');
+const serviceUtils = require('./serviceUtils');
+
+// Time after an appointment's end before it is completed, giving staff a chance to flag it
+const COMPLETE_AFTER_MINUTES = parseInt(process.env.AUTO_COMPLETE_AFTER_MINUTES, 10) || 60;
+
+const AUTOMATIC_CHANGE = { role: 'system', reason: 'Completed automatically' };
+
+exports.COMPLETE_AFTER_MINUTES = COMPLETE_AFTER_MINUTES;
+
+// Complete one appointment, unless it changed (or was flagged) since it was loaded. Resolves to
+// true if it was completed.
+const completeAppointment = async (appointment, change, now) => {
+  if (appointmentService.changeStatus(appointment, 'completed', change)) {
+    return false;
+  }
+
+  const entry = appointment.statusHistory[appointment.statusHistory.length - 1];
+
+  const result = await Appointment.updateOne(
+    { _id: appointment._id, status: 'confirmed', noShowFlaggedAt: null },
+    {
+      $set: { status: 'completed', calendarSequence: appointment.calendarSequence, updatedAt: now },
+      $push: { statusHistory: entry.toObject() }
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Complete every confirmed, unflagged appointment that ended long enough ago, optionally only
+// those on days from `from` to `to`. `change` records who ran the completion in the status
+// history (the system by default). Resolves to the number completed.
+exports.completePastAppointments = async ({ from, to, change = AUTOMATIC_CHANGE, now = new Date() } = {}) => {
+  const dateQuery = { $lte: dateUtils.endOfDay(to && to < now ? to : now) };
+  if (from) {
+    dateQuery.$gte = dateUtils.startOfDay(from);
+  }
+
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    noShowFlaggedAt: null,
+    date: dateQuery
+  })
+    .populate('serviceId')
+    .sort({ date: 1, timeSlot: 1 });
+
+  const cutoff = now.getTime() - COMPLETE_AFTER_MINUTES * 60 * 1000;
+  let completedCount = 0;
+
+  for (const appointment of appointments) {
+    const duration = serviceUtils.getAppointmentDuration(appointment);
+    const endTime = appointment.appointmentDateTime.getTime() + duration * 60 * 1000;
+
+    if (endTime > cutoff) continue;
+
+    if (await completeAppointment(appointment, change, now)) {
+      completedCount++;
+    }
+  }
+
+  return completedCount;
+};
@@ -0,0 +1,124 @@
+
+// Helper functions for dates in the shop's time zone
+// Date-only values are stored as the instant the day starts in the shop's time zone,
+// so day boundaries do not depend on the time zone of the server.
+
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || 'Asia/Jerusalem';
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: SHOP_TIMEZONE,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+exports.SHOP_TIMEZONE = SHOP_TIMEZONE;
+
+// Get the calendar fields of an instant as seen in the shop's time zone
+exports.getZonedParts = (date) => {
+  const parts = {};
+
+  for (const { type, value } of partsFormatter.formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hours: Number(parts.hour),
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Get the shop's offset from UTC in milliseconds at an instant
+const getOffset = (timestamp) => {
+  const parts = this.getZonedParts(timestamp);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return wallClock - (timestamp - (timestamp % 1000));
+};
+
+// Convert a wall-clock time in the shop's time zone to an instant
+exports.zonedTimeToUtc = (year, month, day, hours = 0, minutes = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  let timestamp = wallClock - getOffset(wallClock);
+
+  // Correct once more in case the guess landed on the other side of a DST change
+  const correctedOffset = getOffset(timestamp);
+  if (wallClock - correctedOffset !== timestamp) {
+    timestamp = wallClock - correctedOffset;
+  }
+
+  return new Date(timestamp);
+};
+
+// Get the "YYYY-MM-DD" key of the shop-local day containing an instant
+exports.toDateKey = (date) => {
+  const { year, month, day } = this.getZonedParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Get the start of the shop-local day containing an instant
+exports.startOfDay = (date) => {
+  const { year, month, day } = this.getZonedParts(date);
+  return this.zonedTimeToUtc(year, month, day);
+};
+
+// Get the last millisecond of the shop-local day containing an instant
+exports.endOfDay = (date) => {
+  return new Date(this.addDays(date, 1).getTime() - 1);
+};
+
+// Get the start of the shop-local day a number of days after the day containing an instant
+exports.addDays = (date, days) => {
+  const { year, month, day } = this.getZonedParts(date);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return this.zonedTimeToUtc(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate());
+};
+
+// Parse a date from a request. "YYYY-MM-DD" is read as a shop-local day, anything else
+// is parsed as an instant. Returns the start of the shop-local day, or an invalid Date.
+exports.parseDate = (value) => {
+  const match = typeof value === 'string' && value.match(DATE_KEY_PATTERN);
+
+  if (match) {
+    return this.zonedTimeToUtc(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? date : this.startOfDay(date);
+};
+
+// Get the weekday (0 = Sunday, 6 = Saturday) of the shop-local day containing an instant
+exports.getWeekday = (date) => {
+  return this.getZonedParts(date).weekday;
+};
+
+// Get the instant a time slot ("HH:MM") starts on a shop-local day
+exports.combineDateAndTime = (date, timeSlot) => {
+  const { year, month, day } = this.getZonedParts(date);
+  const [hours, minutes] = timeSlot.split(':').map(Number);
+  return this.zonedTimeToUtc(year, month, day, hours, minutes);
+};
+
+// Get the "HH:MM" wall-clock time of an instant in the shop's time zone
+exports.toTimeSlot = (date) => {
+  const { hours, minutes } = this.getZonedParts(date);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Format a date for display in the shop's time zone
+exports.formatDate = (date, locale, options) => {
+  return new Date(date).toLocaleDateString(locale, { ...options, timeZone: SHOP_TIMEZONE });
+};
@@ -1,50 +1,52 @@
 
-const nodemailer = require('nodemailer');
-
-// Create transporter
-const transporter = nodemailer.createTransport({
-  service: process.env.EMAIL_SERVICE,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD
-  }
-});
+const dateUtils = require('./dateUtils');
+const templates = require('./notificationTemplates');
+const notificationService = require('./notificationService');
+const icalendar = require('./icalendar');
+const User = require('../models/User');
+
+// Get the services booked in an appointment, falling back to the single service passed in
+const getBookedServices = (appointment, service) => {
+  return appointment.services && appointment.services.length > 0 ? appointment.services : [service];
+};
+
+// Render a notification in the user's language and queue it for delivery, resolving to true once queued
+const sendTemplate = async (user, key, variables, appointment, attachments) => {
+  const language = templates.getLanguage(user);
+  const message = await templates.render(key, 'email', language, variables);
+
+  await notificationService.enqueue({
+    userId: user._id,
+    appointmentId: appointment ? appointment._id : undefined,
+    channel: 'email',
+    template: key,
+    language,
+    variables,
+    to: user.email,
+    subject: message.subject,
+    body: message.html,
+    attachments
+  });
+
+  return true;
+};
 
-// Send appointment confirmation
+// Send appointment confirmation with a calendar invitation
 exports.sendAppointmentConfirmation = async (user, appointment, service) => {
   try {
-    const date = new Date(appointment.date);
-    const formattedDate = date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+    const language = templates.getLanguage(user);
+    const services = getBookedServices(appointment, service);
+    const duration = services.reduce((total, item) => total + item.duration, 0);
+    const price = services.reduce((total, item) => total + item.price, 0);
 
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
-      to: user.email,
-      subject: 'Your Appointment Confirmation - Matan Elbaz Barbershop',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #f3c728;">Appointment Confirmation</h2>
-          <p>Hello ${user.firstName},</p>
-          <p>Your appointment has been confirmed with the following details:</p>
-          <div style="background-color: #f9fafb; padding: 15px; border-radius: 5px; margin: 15px 0;">
-            <p><strong>Service:</strong> ${service.name}</p>
-            <p><strong>Date:</strong> ${formattedDate}</p>
-            <p><strong>Time:</strong> ${appointment.timeSlot}</p>
-            <p><strong>Duration:</strong> ${service.duration} minutes</p>
-            <p><strong>Price:</strong> ₪${service.price}</p>
-          </div>
-          <p>We look forward to seeing you!</p>
-          <p>Best regards,<br>Matan Elbaz Barbershop Team</p>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    return true;
+    return await sendTemplate(user, 'appointmentConfirmation', {
+      firstName: user.firstName,
+      services: services.map(item => item.name).join(', '),
+      date: templates.formatDate(appointment.date, language, 'long'),
+      time: appointment.timeSlot,
+      duration,
+      price: templates.formatPrice(price, language)
+    }, appointment, [icalendar.buildAttachment(appointment, services)]);
   } catch (error) {
     console.error('Error sending confirmation email:', error);
     return false;
@@ -54,70 +56,163 @@ exports.sendAppointmentConfirmation = async (user, appointment, service) => {
 // Send appointment reminder
 exports.sendAppointmentReminder = async (user, appointment, service) => {
   try {
-    const date = new Date(appointment.date);
-    const formattedDate = date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+    const language = templates.getLanguage(user);
+    const services = getBookedServices(appointment, service);
 
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
-      to: user.email,
-      subject: 'Appointment Reminder - Matan Elbaz Barbershop',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #f3c728;">Appointment Reminder</h2>
-          <p>Hello ${user.firstName},</p>
-          <p>This is a friendly reminder about your upcoming appointment:</p>
-          <div style="background-color: #f9fafb; padding: 15px; border-radius: 5px; margin: 15px 0;">
-            <p><strong>Service:</strong> ${service.name}</p>
-            <p><strong>Date:</strong> ${formattedDate}</p>
-            <p><strong>Time:</strong> ${appointment.timeSlot}</p>
-          </div>
-          <p>We look forward to seeing you!</p>
-          <p>Best regards,<br>Matan Elbaz Barbershop Team</p>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    return true;
+    return await sendTemplate(user, 'appointmentReminder', {
+      firstName: user.firstName,
+      services: services.map(item => item.name).join(', '),
+      date: templates.formatDate(appointment.date, language, 'long'),
+      time: appointment.timeSlot
+    }, appointment);
   } catch (error) {
     console.error('Error sending reminder email:', error);
     return false;
   }
 };
 
-// Send password reset
-exports.sendPasswordResetEmail = async (user, resetToken) => {
+// Send appointment cancellation with the calendar update, saying who cancelled ('client' or 'admin')
+exports.sendAppointmentCancellation = async (user, appointment, service, cancelledBy) => {
+  try {
+    const language = templates.getLanguage(user);
+    const services = getBookedServices(appointment, service);
+
+    return await sendTemplate(user, 'appointmentCancellation', {
+      firstName: user.firstName,
+      services: services.map(item => item.name).join(', '),
+      date: templates.formatDate(appointment.date, language, 'long'),
+      time: appointment.timeSlot,
+      cancelledBy: templates.getActorLabel(cancelledBy, language)
+    }, appointment, [icalendar.buildAttachment(appointment, services)]);
+  } catch (error) {
+    console.error('Error sending cancellation email:', error);
+    return false;
+  }
+};
+
+// Send appointment reschedule with the calendar update, showing the previous ({ date, timeSlot }) and new time
+exports.sendAppointmentReschedule = async (user, appointment, service, previous) => {
+  try {
+    const language = templates.getLanguage(user);
+    const services = getBookedServices(appointment, service);
+
+    return await sendTemplate(user, 'appointmentReschedule', {
+      firstName: user.firstName,
+      services: services.map(item => item.name).join(', '),
+      oldDate: templates.formatDate(previous.date, language, 'long'),
+      oldTime: previous.timeSlot,
+      date: templates.formatDate(appointment.date, language, 'long'),
+      time: appointment.timeSlot
+    }, appointment, [icalendar.buildAttachment(appointment, services)]);
+  } catch (error) {
+    console.error('Error sending reschedule email:', error);
+    return false;
+  }
+};
+
+// Tell an admin that a client cancelled an appointment
+exports.sendAdminCancellationNotice = async (adminUser, client, appointment, service) => {
+  try {
+    const language = templates.getLanguage(adminUser);
+    const services = getBookedServices(appointment, service);
+
+    return await sendTemplate(adminUser, 'adminCancellationNotice', {
+      clientName: `${client.firstName} ${client.lastName}`,
+      clientPhone: client.phone,
+      services: services.map(item => item.name).join(', '),
+      date: templates.formatDate(appointment.date, language, 'long'),
+      time: appointment.timeSlot
+    }, appointment);
+  } catch (error) {
+    console.error('Error sending admin cancellation email:', error);
+    return false;
+  }
+};
+
+// Tell an admin that a client rescheduled an appointment
+exports.sendAdminRescheduleNotice = async (adminUser, client, appointment, service, previous) => {
+  try {
+    const language = templates.getLanguage(adminUser);
+    const services = getBookedServices(appointment, service);
+
+    return await sendTemplate(adminUser, 'adminRescheduleNotice', {
+      clientName: `${client.firstName} ${client.lastName}`,
+      clientPhone: client.phone,
+      services: services.map(item => item.name).join(', '),
+      oldDate: templates.formatDate(previous.date, language, 'long'),
+      oldTime: previous.timeSlot,
+      date: templates.formatDate(appointment.date, language, 'long'),
+      time: appointment.timeSlot
+    }, appointment);
+  } catch (error) {
+    console.error('Error sending admin reschedule email:', error);
+    return false;
+  }
+};
+
+// Send a waitlist offer with the link to claim the offered slot. The link is added when the email
+// is sent (see waitlistService).
+exports.sendWaitlistOfferEmail = async (user, service, entry) => {
+  try {
+    const language = templates.getLanguage(user);
+
+    return await sendTemplate(user, 'waitlistOffer', {
+      firstName: user.firstName,
+      service: service.name,
+      date: templates.formatDate(entry.offer.date, language, 'long'),
+      time: entry.offer.timeSlot,
+      holdUntil: dateUtils.toTimeSlot(entry.offer.expiresAt),
+      waitlistId: entry._id.toString(),
+      claimUrl: notificationService.HIDDEN_SECRET
+    });
+  } catch (error) {
+    console.error('Error sending waitlist offer email:', error);
+    return false;
+  }
+};
+
+// The reset link is only put in the email when it is sent, from the user's current reset token,
+// so the token is never stored with the notification or logged
+notificationService.registerSecrets('passwordReset', async (notification) => {
+  const user = await User.findOne({
+    _id: notification.userId,
+    resetPasswordExpires: { $gt: Date.now() }
+  });
+
+  if (!user || !user.resetPasswordToken) {
+    return null;
+  }
+
+  return { resetUrl: `${process.env.FRONTEND_URL}/reset-password/${user.resetPasswordToken}` };
+});
+
+// Send password reset with the user's current reset token
+exports.sendPasswordResetEmail = async (user) => {
   try {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
-      to: user.email,
-      subject: 'Password Reset - Matan Elbaz Barbershop',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #f3c728;">Password Reset Request</h2>
-          <p>Hello ${user.firstName},</p>
-          <p>You requested a password reset. Please click the button below to set a new password:</p>
-          <div style="text-align: center; margin: 25px 0;">
-            <a href="${resetUrl}" style="background-color: #f3c728; color: #111827; text-decoration: none; padding: 10px 20px; border-radius: 5px; font-weight: bold;">Reset Password</a>
-          </div>
-          <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-          <p>This link will expire in 1 hour.</p>
-          <p>Best regards,<br>Matan Elbaz Barbershop Team</p>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    return true;
+    return await sendTemplate(user, 'passwordReset', {
+      firstName: user.firstName,
+      resetUrl: notificationService.HIDDEN_SECRET
+    });
   } catch (error) {
     console.error('Error sending password reset email:', error);
     return false;
   }
 };
+
+// Alert the owner that their account was locked after failed sign-in attempts
+exports.sendAccountLockedAlert = async (user, lockedUntil, attempts) => {
+  try {
+    const language = templates.getLanguage(user);
+
+    return await sendTemplate(user, 'accountLocked', {
+      firstName: user.firstName,
+      attempts,
+      date: templates.formatDate(lockedUntil, language, 'long'),
+      time: dateUtils.toTimeSlot(lockedUntil),
+      forgotPasswordUrl: `${process.env.FRONTEND_URL}/forgot-password`
+    });
+  } catch (error) {
+    console.error('Error sending account locked alert:', error);
+    return false;
+  }
+};
@@ -0,0 +1,233 @@
+
+// Helper functions for reading and writing iCalendar (.ics) data
+const dateUtils = require('./dateUtils');
+
+// Unfold continuation lines (lines starting with a space or tab belong to the previous line)
+const unfoldLines = (icsText) => {
+  return icsText
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+};
+
+// Unescape a TEXT property value
+const unescapeText = (value) => {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+};
+
+// Split a content line into its name, parameters and value
+const parseLine = (line) => {
+  const colonIndex = line.indexOf(':');
+  if (colonIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+
+  for (const part of paramParts) {
+    const [key, paramValue] = part.split('=');
+    params[key.toUpperCase()] = paramValue;
+  }
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(colonIndex + 1)
+  };
+};
+
+// Parse a DATE or DATE-TIME value into a Date and whether it is date-only
+const parseDateValue = (value, params) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const isDate = params.VALUE === 'DATE' || hours === undefined;
+
+  if (isDate) {
+    return { date: dateUtils.zonedTimeToUtc(Number(year), Number(month), Number(day)), isDate: true };
+  }
+
+  // UTC values are converted, floating and TZID values are read as shop-local wall time
+  const date = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : dateUtils.zonedTimeToUtc(Number(year), Number(month), Number(day), Number(hours), Number(minutes));
+
+  return { date, isDate: false };
+};
+
+// Parse the VEVENT components of an iCalendar document
+// Recurrence rules (RRULE) are not expanded, each event is read as a single occurrence
+exports.parseEvents = (icsText) => {
+  const events = [];
+  let current = null;
+
+  for (const line of unfoldLines(icsText)) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) {
+        events.push(current);
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) continue;
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property.value, property.params);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property.value, property.params);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+};
+
+// Shop details used in the calendars we write
+const SHOP_NAME = 'Matan Elbaz Barbershop';
+const UID_DOMAIN = 'matan-elbaz-barbershop';
+
+// Escape text for an iCalendar property value
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold a content line so no line is longer than 75 bytes, without splitting a character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+
+    current += char;
+    bytes += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// Format an instant as an iCalendar UTC date-time, e.g. 20240105T083000Z
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Get the address part of an address like "Shop <shop@example.com>"
+const getEmailAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value || '');
+  return match ? match[1] : value;
+};
+
+// Get the calendar UID of an appointment, the same for its whole life. Its calendarSequence goes
+// up whenever it is moved or cancelled, so calendar apps update the event they already have
+// instead of adding a new one.
+exports.getUid = (appointment) => `${appointment._id}@${UID_DOMAIN}`;
+
+// Build the VEVENT lines of an appointment. `services` lists the booked services; `summary`
+// replaces the default title (e.g. with the client's name in the shop feed).
+exports.buildEvent = (appointment, services, { summary, description } = {}) => {
+  const start = appointment.appointmentDateTime;
+  const duration = appointment.duration || services.reduce((total, service) => total + service.duration, 0);
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const serviceNames = services.map(service => service.name).join(', ');
+
+  const status = appointment.status === 'cancelled' || appointment.status === 'no-show'
+    ? 'CANCELLED'
+    : appointment.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${this.getUid(appointment)}`,
+    `SEQUENCE:${appointment.calendarSequence || 0}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary || `${serviceNames} - ${SHOP_NAME}`)}`,
+    `STATUS:${status}`
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (process.env.SHOP_ADDRESS) {
+    lines.push(`LOCATION:${escapeText(process.env.SHOP_ADDRESS)}`);
+  }
+
+  if (process.env.EMAIL_FROM) {
+    lines.push(`ORGANIZER;CN=${escapeText(SHOP_NAME)}:mailto:${getEmailAddress(process.env.EMAIL_FROM)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Wrap events in a calendar. `method` is REQUEST or CANCEL for email invitations and left out for
+// subscribed feeds; `name` is the title calendar apps show for a feed.
+exports.buildCalendar = (events, { method, name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${SHOP_NAME}//Appointments//EN`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of events) {
+    lines.push(...event);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Build an email attachment inviting the client to an appointment, or cancelling it
+exports.buildAttachment = (appointment, services) => {
+  const method = appointment.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+
+  return {
+    filename: 'appointment.ics',
+    content: this.buildCalendar([this.buildEvent(appointment, services)], { method }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
@@ -1,17 +1,21 @@
 
 const jwt = require('jsonwebtoken');
 
-module.exports = function(userId, role) {
+// Access tokens are short-lived; the client gets new ones with its refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+module.exports = function(userId, role, sessionId) {
   const payload = {
     user: {
       id: userId,
       role: role
-    }
+    },
+    sid: sessionId
   };
 
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 };
@@ -0,0 +1,65 @@
+
+// Account lockout. Repeated failed sign-ins to one account lock it for a while and alert its owner
+// by email. The failed attempts are counted with the shared rate limit counters.
+const User = require('../models/User');
+const rateLimiter = require('./rateLimiter');
+const emailService = require('./emailService');
+
+// Failed sign-ins within the window that lock an account, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_FAILED, 10) || 5;
+const FAILED_LOGIN_WINDOW_MINUTES = 15;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+const getFailedKey = (userId) => `login-failed:${userId}`;
+
+// Tell whether an account is locked
+exports.isLocked = (user, now = new Date()) => Boolean(user.lockedUntil && user.lockedUntil > now);
+
+// Count a failed sign-in, locking the account and alerting its owner when there were too many.
+// Resolves to the end of the lock if this attempt locked the account, or null.
+exports.recordFailedLogin = async (user, now = new Date()) => {
+  const { count } = await rateLimiter.hit(getFailedKey(user._id), FAILED_LOGIN_WINDOW_MINUTES * 60 * 1000, now);
+
+  if (count < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+
+  // Only one of several concurrent attempts locks the account and sends the alert
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil, lockedAt: now } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  await rateLimiter.reset(getFailedKey(user._id));
+
+  // A security alert, so it is sent whatever the user's notification preferences
+  emailService.sendAccountLockedAlert(user, lockedUntil, count);
+
+  return lockedUntil;
+};
+
+// Forget the failed sign-ins of an account after a successful one
+exports.recordSuccessfulLogin = async (user) => {
+  await rateLimiter.reset(getFailedKey(user._id));
+};
+
+// Get the failed sign-ins counted toward locking an account
+exports.getFailedCount = (userId) => rateLimiter.getCount(getFailedKey(userId));
+
+// Unlock an account and forget its failed sign-ins, resolving to the updated user or null if
+// there is none
+exports.clearLockout = async (userId) => {
+  await rateLimiter.reset(getFailedKey(userId));
+
+  return User.findByIdAndUpdate(
+    userId,
+    { $unset: { lockedUntil: '', lockedAt: '' } },
+    { new: true }
+  ).select('-password');
+};
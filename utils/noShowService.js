@@ -0,0 +1,121 @@
+
+// No-show tracking. A scheduled pass flags appointments that ended without ever being confirmed,
+// and admins can flag confirmed ones they doubt; flagged appointments are left out of automatic
+// completion until an admin confirms them as no-shows or completed. Every confirmed no-show counts
+// against the client, and the booking policy can then make their bookings wait for approval or
+// block online booking for a while.
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const bookingPolicy = require('./bookingPolicy');
+const dateUtils = require('./dateUtils');
+const serviceUtils = require('./serviceUtils');
+
+// Statuses of appointments that are still open once their time has passed
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+exports.OPEN_STATUSES = OPEN_STATUSES;
+
+// Flag every pending appointment whose end time has passed, resolving to the number flagged.
+// Confirmed appointments are completed automatically instead (see completionService).
+exports.flagMissedAppointments = async (now = new Date()) => {
+  const appointments = await Appointment.find({
+    status: 'pending',
+    noShowFlaggedAt: null,
+    date: { $lte: dateUtils.endOfDay(now) }
+  }).populate('serviceId');
+
+  let flaggedCount = 0;
+
+  for (const appointment of appointments) {
+    const duration = serviceUtils.getAppointmentDuration(appointment);
+    const endTime = new Date(appointment.appointmentDateTime.getTime() + duration * 60 * 1000);
+
+    if (endTime > now) continue;
+
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, status: 'pending', noShowFlaggedAt: null },
+      { $set: { noShowFlaggedAt: now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      flaggedCount++;
+    }
+  }
+
+  return flaggedCount;
+};
+
+// Apply the booking policy's no-show penalties to a client, resolving to the updated client
+const applyPenalties = async (user, now = new Date()) => {
+  const policy = await bookingPolicy.getPolicy();
+  const restriction = user.bookingRestriction;
+  let applied = false;
+
+  if (policy.noShowApprovalThreshold > 0 && user.noShowCount >= policy.noShowApprovalThreshold && !restriction.requiresApproval) {
+    restriction.requiresApproval = true;
+    applied = true;
+  }
+
+  // Every no-show at or over the threshold starts the block period again
+  if (policy.noShowBlockThreshold > 0 && policy.noShowBlockDays > 0 && user.noShowCount >= policy.noShowBlockThreshold) {
+    restriction.blockedUntil = dateUtils.addDays(now, policy.noShowBlockDays);
+    applied = true;
+  }
+
+  if (applied) {
+    restriction.appliedAt = now;
+    await user.save();
+  }
+
+  return user;
+};
+
+// Count a status change of a client's appointment toward their no-shows: moving to no-show adds
+// one and applies any penalty due, moving away from it (an admin correcting a mistake) takes it
+// back. Penalties already applied stay until an admin clears them.
+exports.recordStatusChange = async (userId, from, to) => {
+  if (from === to || (from !== 'no-show' && to !== 'no-show')) {
+    return;
+  }
+
+  if (to === 'no-show') {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { noShowCount: 1 } }, { new: true });
+    if (user) {
+      await applyPenalties(user);
+    }
+    return;
+  }
+
+  await User.updateOne({ _id: userId, noShowCount: { $gt: 0 } }, { $inc: { noShowCount: -1 } });
+};
+
+// Get the no-show penalties that apply to a client booking online: an error message while online
+// booking is blocked, and whether new bookings need admin approval
+exports.getBookingRestriction = async (userId, now = new Date()) => {
+  const user = await User.findById(userId).select('bookingRestriction');
+  const restriction = user && user.bookingRestriction ? user.bookingRestriction : {};
+
+  if (restriction.blockedUntil && restriction.blockedUntil > now) {
+    return {
+      error: `Online booking is unavailable until ${dateUtils.toDateKey(restriction.blockedUntil)} because of missed appointments. Please contact the shop.`,
+      requiresApproval: Boolean(restriction.requiresApproval)
+    };
+  }
+
+  return { error: null, requiresApproval: Boolean(restriction.requiresApproval) };
+};
+
+// Lift a client's no-show penalties, optionally starting their no-show count over. Resolves to the
+// updated client or null if there is none.
+exports.clearPenalties = async (userId, { resetCount = false } = {}) => {
+  const update = {
+    $set: { 'bookingRestriction.requiresApproval': false },
+    $unset: { 'bookingRestriction.blockedUntil': '', 'bookingRestriction.appliedAt': '' }
+  };
+
+  if (resetCount) {
+    update.$set.noShowCount = 0;
+  }
+
+  return User.findByIdAndUpdate(userId, update, { new: true });
+};
@@ -0,0 +1,208 @@
+
+// Queueing and delivering notifications. Every email and SMS is stored before it is sent; delivery
+// is attempted right away and retried with backoff by the notification worker until it succeeds or
+// runs out of attempts. Each attempt is claimed first, so a message is not sent twice at once.
+const Notification = require('../models/Notification');
+const transports = require('./transports');
+const templates = require('./notificationTemplates');
+
+// Attempts before a message is marked failed
+const MAX_ATTEMPTS = 5;
+
+// Wait before the first retry, multiplied for each later one (1, 5, 25, 125 minutes)
+const RETRY_DELAY = 60 * 1000;
+const RETRY_FACTOR = 5;
+
+// A message left "sending" this long was interrupted (e.g. by a restart) and is sent again
+const SENDING_LEASE = 10 * 60 * 1000;
+
+// Messages delivered per worker run
+const BATCH_SIZE = 50;
+
+exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+// Stored and logged in place of a secret variable
+exports.HIDDEN_SECRET = '[hidden]';
+
+// Lookups of the secret variables of a template (e.g. a password reset link), by template key
+const secretResolvers = new Map();
+
+// Register how to look up the secret variables of a template. Such messages are stored and logged
+// with the secrets hidden and rendered again with them only when they are sent. The lookup gets
+// the stored message and resolves to the secret variables, or null if they are no longer valid.
+exports.registerSecrets = (template, resolve) => {
+  secretResolvers.set(template, resolve);
+};
+
+// Build the message handed to a channel's transport
+const buildMessage = (notification, content = notification) => {
+  if (notification.channel === 'email') {
+    return {
+      from: process.env.EMAIL_FROM,
+      to: notification.to,
+      subject: content.subject,
+      html: content.body,
+      attachments: notification.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+    };
+  }
+
+  return {
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to: notification.to,
+    body: content.body
+  };
+};
+
+// Render a message with its secret variables, resolving to its subject and body or null if the
+// secrets are no longer valid
+const renderWithSecrets = async (notification) => {
+  const secrets = await secretResolvers.get(notification.template)(notification);
+  if (!secrets) {
+    return null;
+  }
+
+  const rendered = await templates.render(
+    notification.template,
+    notification.channel,
+    notification.language,
+    { ...notification.variables, ...secrets }
+  );
+
+  return { subject: rendered.subject, body: rendered.html || rendered.text };
+};
+
+// Claim a message for delivery, resolving to the claimed message or null if it is not due or
+// another run has it
+const claimNotification = (notificationId, now) => {
+  return Notification.findOneAndUpdate(
+    {
+      _id: notificationId,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', claimedAt: { $lt: new Date(now.getTime() - SENDING_LEASE) } }
+      ]
+    },
+    {
+      $set: { status: 'sending', claimedAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Try to deliver a message once, resolving to true if it was sent
+exports.deliver = async (notificationId, now = new Date()) => {
+  const notification = await claimNotification(notificationId, now);
+  if (!notification) {
+    return false;
+  }
+
+  try {
+    // The stored copy is what local transports log, so secrets stay out of it
+    const stored = buildMessage(notification);
+    let message = stored;
+
+    if (secretResolvers.has(notification.template)) {
+      const content = await renderWithSecrets(notification);
+
+      if (!content) {
+        await Notification.updateOne(
+          { _id: notification._id },
+          { $set: { status: 'failed', lastError: 'The secrets of this message are no longer valid', updatedAt: new Date() } }
+        );
+        return false;
+      }
+
+      message = buildMessage(notification, content);
+    }
+
+    const result = await transports.getTransport(notification.channel).send(message, stored);
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { status: 'sent', sentAt: new Date(), providerId: result.id, lastError: null, updatedAt: new Date() } }
+    );
+
+    return true;
+  } catch (err) {
+    console.error(`Error sending ${notification.channel} notification ${notification._id}:`, err.message);
+
+    const update = notification.attempts >= MAX_ATTEMPTS
+      ? { status: 'failed' }
+      : {
+        status: 'pending',
+        nextAttemptAt: new Date(Date.now() + RETRY_DELAY * Math.pow(RETRY_FACTOR, notification.attempts - 1))
+      };
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { ...update, lastError: err.message, updatedAt: new Date() } }
+    );
+
+    return false;
+  }
+};
+
+// Store a rendered message and try to deliver it right away, resolving to the stored message.
+// Delivery continues in the background; the worker retries it if it fails.
+exports.enqueue = async ({ userId, appointmentId, channel, template, language, variables, to, subject, body, attachments }) => {
+  const notification = await new Notification({
+    userId,
+    appointmentId,
+    channel,
+    template,
+    language,
+    variables,
+    to,
+    subject,
+    body,
+    attachments
+  }).save();
+
+  this.deliver(notification._id).catch(err => {
+    console.error(`Error delivering notification ${notification._id}:`, err.message);
+  });
+
+  return notification;
+};
+
+// Deliver every message that is due, resolving to the number sent
+exports.processDue = async (now = new Date()) => {
+  const due = await Notification.find({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', claimedAt: { $lt: new Date(now.getTime() - SENDING_LEASE) } }
+    ]
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let sentCount = 0;
+
+  for (const notification of due) {
+    if (await this.deliver(notification._id, now)) {
+      sentCount++;
+    }
+  }
+
+  return sentCount;
+};
+
+// Queue a failed message again with a fresh set of attempts, resolving to the updated message or
+// null if it has not failed
+exports.resend = async (notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'failed' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!notification) {
+    return null;
+  }
+
+  await this.deliver(notification._id);
+
+  return Notification.findById(notification._id);
+};
@@ -0,0 +1,496 @@
+
+// Notification templates in English and Hebrew. Each notification type has a built-in default per
+// channel and language; admins can replace the text of any of them, which is stored in the database.
+// Text uses {{placeholders}} that are filled in when the notification is sent.
+const NotificationTemplate = require('../models/NotificationTemplate');
+const dateUtils = require('./dateUtils');
+
+const LANGUAGES = ['en', 'he'];
+const CHANNELS = ['email', 'sms'];
+
+// Locale used to format dates and prices for each language
+const LOCALES = {
+  en: 'en-US',
+  he: 'he-IL'
+};
+
+const RTL_LANGUAGES = ['he'];
+
+const CURRENCY = 'ILS';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const BOX_STYLE = 'background-color: #f9fafb; padding: 15px; border-radius: 5px; margin: 15px 0;';
+const BUTTON_STYLE = 'background-color: #f3c728; color: #111827; text-decoration: none; padding: 10px 20px; border-radius: 5px; font-weight: bold;';
+
+// Built-in templates: the placeholders each notification provides and its default text
+const TEMPLATES = {
+  appointmentConfirmation: {
+    variables: ['firstName', 'services', 'date', 'time', 'duration', 'price'],
+    email: {
+      en: {
+        subject: 'Your Appointment Confirmation - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">Appointment Confirmation</h2>
+<p>Hello {{firstName}},</p>
+<p>Your appointment has been confirmed with the following details:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Services:</strong> {{services}}</p>
+  <p><strong>Date:</strong> {{date}}</p>
+  <p><strong>Time:</strong> {{time}}</p>
+  <p><strong>Duration:</strong> {{duration}} minutes</p>
+  <p><strong>Price:</strong> {{price}}</p>
+</div>
+<p>We look forward to seeing you!</p>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'אישור התור שלך - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">אישור תור</h2>
+<p>שלום {{firstName}},</p>
+<p>התור שלך אושר עם הפרטים הבאים:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>שירותים:</strong> {{services}}</p>
+  <p><strong>תאריך:</strong> {{date}}</p>
+  <p><strong>שעה:</strong> {{time}}</p>
+  <p><strong>משך:</strong> {{duration}} דקות</p>
+  <p><strong>מחיר:</strong> {{price}}</p>
+</div>
+<p>מחכים לראותך!</p>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    },
+    sms: {
+      en: { body: 'Hi {{firstName}}, your appointment for {{services}} is confirmed for {{date}} at {{time}}. - Matan Elbaz Barbershop' },
+      he: { body: 'היי {{firstName}}, התור שלך ל{{services}} אושר ל{{date}} בשעה {{time}}. - מספרת מתן אלבז' }
+    }
+  },
+  appointmentReminder: {
+    variables: ['firstName', 'services', 'date', 'time'],
+    email: {
+      en: {
+        subject: 'Appointment Reminder - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">Appointment Reminder</h2>
+<p>Hello {{firstName}},</p>
+<p>This is a friendly reminder about your upcoming appointment:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Services:</strong> {{services}}</p>
+  <p><strong>Date:</strong> {{date}}</p>
+  <p><strong>Time:</strong> {{time}}</p>
+</div>
+<p>We look forward to seeing you!</p>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'תזכורת לתור - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">תזכורת לתור</h2>
+<p>שלום {{firstName}},</p>
+<p>רצינו להזכיר לך את התור הקרוב שלך:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>שירותים:</strong> {{services}}</p>
+  <p><strong>תאריך:</strong> {{date}}</p>
+  <p><strong>שעה:</strong> {{time}}</p>
+</div>
+<p>מחכים לראותך!</p>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    },
+    sms: {
+      en: { body: 'Reminder: Your appointment for {{services}} is on {{date}} at {{time}}. Reply C to confirm or X to cancel. - Matan Elbaz Barbershop' },
+      he: { body: 'תזכורת: התור שלך ל{{services}} ב{{date}} בשעה {{time}}. השיבו C לאישור או X לביטול. - מספרת מתן אלבז' }
+    }
+  },
+  appointmentCancellation: {
+    variables: ['firstName', 'services', 'date', 'time', 'cancelledBy'],
+    email: {
+      en: {
+        subject: 'Appointment Cancelled - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">Appointment Cancelled</h2>
+<p>Hello {{firstName}},</p>
+<p>Your appointment has been cancelled by {{cancelledBy}}:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Services:</strong> {{services}}</p>
+  <p><strong>Date:</strong> {{date}}</p>
+  <p><strong>Time:</strong> {{time}}</p>
+</div>
+<p>You are welcome to book a new appointment at any time.</p>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'התור בוטל - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">התור בוטל</h2>
+<p>שלום {{firstName}},</p>
+<p>התור שלך בוטל {{cancelledBy}}:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>שירותים:</strong> {{services}}</p>
+  <p><strong>תאריך:</strong> {{date}}</p>
+  <p><strong>שעה:</strong> {{time}}</p>
+</div>
+<p>אפשר לקבוע תור חדש בכל עת.</p>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    },
+    sms: {
+      en: { body: 'Hi {{firstName}}, your appointment for {{services}} on {{date}} at {{time}} has been cancelled by {{cancelledBy}}. - Matan Elbaz Barbershop' },
+      he: { body: 'היי {{firstName}}, התור שלך ל{{services}} ב{{date}} בשעה {{time}} בוטל {{cancelledBy}}. - מספרת מתן אלבז' }
+    }
+  },
+  appointmentReschedule: {
+    variables: ['firstName', 'services', 'oldDate', 'oldTime', 'date', 'time'],
+    email: {
+      en: {
+        subject: 'Appointment Rescheduled - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">Appointment Rescheduled</h2>
+<p>Hello {{firstName}},</p>
+<p>Your appointment for {{services}} has been moved:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Was:</strong> {{oldDate}} at {{oldTime}}</p>
+  <p><strong>Now:</strong> {{date}} at {{time}}</p>
+</div>
+<p>We look forward to seeing you!</p>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'התור הועבר - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">התור הועבר</h2>
+<p>שלום {{firstName}},</p>
+<p>התור שלך ל{{services}} הועבר:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>היה:</strong> {{oldDate}} בשעה {{oldTime}}</p>
+  <p><strong>עכשיו:</strong> {{date}} בשעה {{time}}</p>
+</div>
+<p>מחכים לראותך!</p>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    },
+    sms: {
+      en: { body: 'Hi {{firstName}}, your appointment for {{services}} has moved from {{oldDate}} at {{oldTime}} to {{date}} at {{time}}. - Matan Elbaz Barbershop' },
+      he: { body: 'היי {{firstName}}, התור שלך ל{{services}} הועבר מ{{oldDate}} בשעה {{oldTime}} ל{{date}} בשעה {{time}}. - מספרת מתן אלבז' }
+    }
+  },
+  adminCancellationNotice: {
+    variables: ['clientName', 'clientPhone', 'services', 'date', 'time'],
+    email: {
+      en: {
+        subject: 'Client Cancelled: {{clientName}} on {{date}}',
+        body: `<h2 style="color: #f3c728;">Appointment Cancelled by Client</h2>
+<p>{{clientName}} ({{clientPhone}}) cancelled their appointment:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Services:</strong> {{services}}</p>
+  <p><strong>Date:</strong> {{date}}</p>
+  <p><strong>Time:</strong> {{time}}</p>
+</div>`
+      },
+      he: {
+        subject: 'ביטול תור: {{clientName}} ב{{date}}',
+        body: `<h2 style="color: #f3c728;">לקוח ביטל תור</h2>
+<p>{{clientName}} ({{clientPhone}}) ביטל/ה את התור:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>שירותים:</strong> {{services}}</p>
+  <p><strong>תאריך:</strong> {{date}}</p>
+  <p><strong>שעה:</strong> {{time}}</p>
+</div>`
+      }
+    },
+    sms: {
+      en: { body: '{{clientName}} cancelled {{services}} on {{date}} at {{time}}.' },
+      he: { body: '{{clientName}} ביטל/ה {{services}} ב{{date}} בשעה {{time}}.' }
+    }
+  },
+  adminRescheduleNotice: {
+    variables: ['clientName', 'clientPhone', 'services', 'oldDate', 'oldTime', 'date', 'time'],
+    email: {
+      en: {
+        subject: 'Client Rescheduled: {{clientName}} to {{date}}',
+        body: `<h2 style="color: #f3c728;">Appointment Rescheduled by Client</h2>
+<p>{{clientName}} ({{clientPhone}}) moved their appointment for {{services}}:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Was:</strong> {{oldDate}} at {{oldTime}}</p>
+  <p><strong>Now:</strong> {{date}} at {{time}}</p>
+</div>`
+      },
+      he: {
+        subject: 'הזזת תור: {{clientName}} ל{{date}}',
+        body: `<h2 style="color: #f3c728;">לקוח הזיז תור</h2>
+<p>{{clientName}} ({{clientPhone}}) הזיז/ה את התור ל{{services}}:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>היה:</strong> {{oldDate}} בשעה {{oldTime}}</p>
+  <p><strong>עכשיו:</strong> {{date}} בשעה {{time}}</p>
+</div>`
+      }
+    },
+    sms: {
+      en: { body: '{{clientName}} moved {{services}} from {{oldDate}} {{oldTime}} to {{date}} {{time}}.' },
+      he: { body: '{{clientName}} הזיז/ה {{services}} מ{{oldDate}} {{oldTime}} ל{{date}} {{time}}.' }
+    }
+  },
+  waitlistOffer: {
+    variables: ['firstName', 'service', 'date', 'time', 'holdUntil', 'claimUrl'],
+    email: {
+      en: {
+        subject: 'A Slot Has Opened Up - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">A Slot Has Opened Up</h2>
+<p>Hello {{firstName}},</p>
+<p>Good news! A slot you were waiting for is available and we are holding it for you:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>Service:</strong> {{service}}</p>
+  <p><strong>Date:</strong> {{date}}</p>
+  <p><strong>Time:</strong> {{time}}</p>
+</div>
+<div style="text-align: center; margin: 25px 0;">
+  <a href="{{claimUrl}}" style="${BUTTON_STYLE}">Book This Slot</a>
+</div>
+<p>The slot is held for you until {{holdUntil}}. After that it will be offered to the next person on the waitlist.</p>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'התפנה תור - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">התפנה תור</h2>
+<p>שלום {{firstName}},</p>
+<p>חדשות טובות! התפנה תור שחיכית לו, והוא שמור עבורך:</p>
+<div style="${BOX_STYLE}">
+  <p><strong>שירות:</strong> {{service}}</p>
+  <p><strong>תאריך:</strong> {{date}}</p>
+  <p><strong>שעה:</strong> {{time}}</p>
+</div>
+<div style="text-align: center; margin: 25px 0;">
+  <a href="{{claimUrl}}" style="${BUTTON_STYLE}">לקביעת התור</a>
+</div>
+<p>התור שמור עבורך עד {{holdUntil}}. לאחר מכן הוא יוצע לבא בתור ברשימת ההמתנה.</p>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    },
+    sms: {
+      en: { body: 'Good news! A slot for {{service}} has opened up on {{date}} at {{time}}. It is held for you until {{holdUntil}}. Claim it: {{claimUrl}} - Matan Elbaz Barbershop' },
+      he: { body: 'חדשות טובות! התפנה תור ל{{service}} ב{{date}} בשעה {{time}}. התור שמור עבורך עד {{holdUntil}}. לקביעה: {{claimUrl}} - מספרת מתן אלבז' }
+    }
+  },
+  // Replies to text messages from clients
+  appointmentConfirmedReply: {
+    variables: ['firstName', 'date', 'time'],
+    sms: {
+      en: { body: 'Thanks {{firstName}}, your appointment on {{date}} at {{time}} is confirmed. - Matan Elbaz Barbershop' },
+      he: { body: 'תודה {{firstName}}, התור שלך ב{{date}} בשעה {{time}} אושר. - מספרת מתן אלבז' }
+    }
+  },
+  approvalPendingReply: {
+    variables: ['firstName', 'date', 'time'],
+    sms: {
+      en: { body: 'Hi {{firstName}}, your appointment on {{date}} at {{time}} is waiting for approval from the shop. We will let you know once it is confirmed. - Matan Elbaz Barbershop' },
+      he: { body: 'היי {{firstName}}, התור שלך ב{{date}} בשעה {{time}} ממתין לאישור המספרה. נעדכן אותך כשיאושר. - מספרת מתן אלבז' }
+    }
+  },
+  appointmentCancelledReply: {
+    variables: ['firstName', 'date', 'time'],
+    sms: {
+      en: { body: 'Hi {{firstName}}, your appointment on {{date}} at {{time}} has been cancelled. - Matan Elbaz Barbershop' },
+      he: { body: 'היי {{firstName}}, התור שלך ב{{date}} בשעה {{time}} בוטל. - מספרת מתן אלבז' }
+    }
+  },
+  cancelRefusedReply: {
+    variables: ['firstName', 'reason'],
+    sms: {
+      en: { body: 'Sorry {{firstName}}, your appointment could not be cancelled: {{reason}}. Please call us. - Matan Elbaz Barbershop' },
+      he: { body: 'מצטערים {{firstName}}, לא ניתן לבטל את התור: {{reason}}. נא להתקשר אלינו. - מספרת מתן אלבז' }
+    }
+  },
+  noAppointmentReply: {
+    variables: ['firstName'],
+    sms: {
+      en: { body: 'Hi {{firstName}}, you have no upcoming appointment to change. - Matan Elbaz Barbershop' },
+      he: { body: 'היי {{firstName}}, אין לך תור קרוב לשינוי. - מספרת מתן אלבז' }
+    }
+  },
+  smsHelpReply: {
+    variables: ['firstName'],
+    sms: {
+      en: { body: 'Reply C or 1 to confirm your next appointment, or X or 2 to cancel it. - Matan Elbaz Barbershop' },
+      he: { body: 'השיבו C או 1 לאישור התור הקרוב, או X או 2 לביטולו. - מספרת מתן אלבז' }
+    }
+  },
+  unknownSenderReply: {
+    variables: [],
+    sms: {
+      en: { body: 'We could not find an account with this phone number. - Matan Elbaz Barbershop' },
+      he: { body: 'לא מצאנו חשבון עם מספר הטלפון הזה. - מספרת מתן אלבז' }
+    }
+  },
+  passwordReset: {
+    variables: ['firstName', 'resetUrl'],
+    email: {
+      en: {
+        subject: 'Password Reset - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">Password Reset Request</h2>
+<p>Hello {{firstName}},</p>
+<p>You requested a password reset. Please click the button below to set a new password:</p>
+<div style="text-align: center; margin: 25px 0;">
+  <a href="{{resetUrl}}" style="${BUTTON_STYLE}">Reset Password</a>
+</div>
+<p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
+<p>This link will expire in 1 hour.</p>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'איפוס סיסמה - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">בקשה לאיפוס סיסמה</h2>
+<p>שלום {{firstName}},</p>
+<p>ביקשת לאפס את הסיסמה שלך. לחצו על הכפתור כדי לבחור סיסמה חדשה:</p>
+<div style="text-align: center; margin: 25px 0;">
+  <a href="{{resetUrl}}" style="${BUTTON_STYLE}">איפוס סיסמה</a>
+</div>
+<p>אם לא ביקשת לאפס את הסיסמה, אפשר להתעלם מהודעה זו והסיסמה שלך לא תשתנה.</p>
+<p>הקישור בתוקף לשעה אחת.</p>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    }
+  },
+  accountLocked: {
+    variables: ['firstName', 'attempts', 'date', 'time', 'forgotPasswordUrl'],
+    email: {
+      en: {
+        subject: 'Your account has been locked - Matan Elbaz Barbershop',
+        body: `<h2 style="color: #f3c728;">Account Temporarily Locked</h2>
+<p>Hello {{firstName}},</p>
+<p>After {{attempts}} failed sign-in attempts, your account has been locked until {{date}} at {{time}}.</p>
+<p>If this was not you, someone may be trying to guess your password. We recommend choosing a new one:</p>
+<div style="text-align: center; margin: 25px 0;">
+  <a href="{{forgotPasswordUrl}}" style="${BUTTON_STYLE}">Reset Password</a>
+</div>
+<p>Best regards,<br>Matan Elbaz Barbershop Team</p>`
+      },
+      he: {
+        subject: 'החשבון שלך ננעל - מספרת מתן אלבז',
+        body: `<h2 style="color: #f3c728;">החשבון ננעל זמנית</h2>
+<p>שלום {{firstName}},</p>
+<p>לאחר {{attempts}} ניסיונות התחברות שנכשלו, החשבון שלך ננעל עד {{date}} בשעה {{time}}.</p>
+<p>אם לא ניסית להתחבר, ייתכן שמישהו מנסה לנחש את הסיסמה שלך. מומלץ לבחור סיסמה חדשה:</p>
+<div style="text-align: center; margin: 25px 0;">
+  <a href="{{forgotPasswordUrl}}" style="${BUTTON_STYLE}">איפוס סיסמה</a>
+</div>
+<p>בברכה,<br>צוות מספרת מתן אלבז</p>`
+      }
+    }
+  }
+};
+
+exports.LANGUAGES = LANGUAGES;
+exports.CHANNELS = CHANNELS;
+
+// Get the language to write to a user in
+exports.getLanguage = (user) => {
+  const language = user && user.preferences && user.preferences.language;
+  return LANGUAGES.includes(language) ? language : 'en';
+};
+
+// Who made a change, as it reads in "cancelled by ..."
+const ACTOR_LABELS = {
+  client: { en: 'you', he: 'על ידך' },
+  admin: { en: 'the barbershop', he: 'על ידי המספרה' }
+};
+
+// Describe who made a change ('client' or 'admin') in a language
+exports.getActorLabel = (actor, language) => {
+  return (ACTOR_LABELS[actor] || ACTOR_LABELS.admin)[language];
+};
+
+// Format a date for a language: 'long' for email, 'short' for SMS
+exports.formatDate = (date, language, style = 'long') => {
+  const options = style === 'long'
+    ? { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }
+    : { weekday: 'short', month: 'short', day: 'numeric' };
+
+  return dateUtils.formatDate(date, LOCALES[language], options);
+};
+
+// Format a price in shekels for a language
+exports.formatPrice = (amount, language) => {
+  return new Intl.NumberFormat(LOCALES[language], {
+    style: 'currency',
+    currency: CURRENCY,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2
+  }).format(amount);
+};
+
+// Get the placeholders a notification provides, or null if there is no such notification
+exports.getVariables = (key) => {
+  return TEMPLATES[key] ? TEMPLATES[key].variables : null;
+};
+
+// Check whether a notification exists on a channel
+exports.hasTemplate = (key, channel) => {
+  return Boolean(TEMPLATES[key] && TEMPLATES[key][channel]);
+};
+
+// Get the built-in text of a notification
+exports.getDefault = (key, channel, language) => {
+  return TEMPLATES[key][channel][language];
+};
+
+// List every notification, channel and language with its built-in text
+exports.listDefaults = () => {
+  const defaults = [];
+
+  for (const [key, template] of Object.entries(TEMPLATES)) {
+    for (const channel of CHANNELS) {
+      if (!template[channel]) continue;
+
+      for (const language of LANGUAGES) {
+        defaults.push({ key, channel, language, variables: template.variables, ...template[channel][language] });
+      }
+    }
+  }
+
+  return defaults;
+};
+
+// Find placeholders in text that a notification does not provide
+exports.findUnknownPlaceholders = (key, text) => {
+  const variables = this.getVariables(key) || [];
+  const names = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+  return [...new Set(names.filter(name => !variables.includes(name)))];
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Fill in the placeholders of text; unknown placeholders are left empty
+const fill = (text, variables, escape) => {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = variables[name] === undefined || variables[name] === null ? '' : variables[name];
+    return escape ? escapeHtml(value) : String(value);
+  });
+};
+
+// Wrap email content in the shared layout, right-to-left for Hebrew
+const wrapEmail = (html, language) => {
+  const rtl = RTL_LANGUAGES.includes(language);
+
+  return `
+    <div dir="${rtl ? 'rtl' : 'ltr'}" lang="${language}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; text-align: ${rtl ? 'right' : 'left'};">
+      ${html}
+    </div>
+  `;
+};
+
+// Render a notification in a language, using the admin's text when there is one. Resolves to
+// { subject, html } for email and { text } for SMS.
+exports.render = async (key, channel, language, variables) => {
+  const custom = await NotificationTemplate.findOne({ key, channel, language });
+  const template = custom || this.getDefault(key, channel, language);
+
+  if (channel === 'sms') {
+    return { text: fill(template.body, variables, false) };
+  }
+
+  return {
+    subject: fill(template.subject || this.getDefault(key, channel, language).subject, variables, false),
+    html: wrapEmail(fill(template.body, variables, true), language)
+  };
+};
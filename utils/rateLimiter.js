@@ -0,0 +1,40 @@
+
+// Fixed-window request counters stored in MongoDB, so limits hold across server processes
+const RateLimit = require('../models/RateLimit');
+
+// Count a hit for a key, starting a new window of windowMs when the last one is over. Resolves to
+// { count, resetAt } for the current window.
+exports.hit = async (key, windowMs, now = new Date()) => {
+  const resetAt = new Date(now.getTime() + windowMs);
+  const isLive = { $gt: ['$expiresAt', now] };
+
+  // One atomic update either adds to the live window or starts a new one
+  const update = [{
+    $set: {
+      count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+      expiresAt: { $cond: [isLive, '$expiresAt', resetAt] }
+    }
+  }];
+
+  let counter;
+  try {
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (err) {
+    // Two processes created the counter at the same time; the other one won, so add to it
+    if (err.code !== 11000) throw err;
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  return { count: counter.count, resetAt: counter.expiresAt };
+};
+
+// Get the hits counted for a key in its live window
+exports.getCount = async (key, now = new Date()) => {
+  const counter = await RateLimit.findOne({ key, expiresAt: { $gt: now } });
+  return counter ? counter.count : 0;
+};
+
+// Forget a key's hits
+exports.reset = async (key) => {
+  await RateLimit.deleteOne({ key });
+};
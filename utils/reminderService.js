@@ -0,0 +1,189 @@
+
+// Sending appointment reminders. Every reminder is claimed on the appointment before it is sent,
+// so a reminder goes out once even with several processes, and a restart picks up where it left off.
+const Appointment = require('../models/Appointment');
+const dateUtils = require('./dateUtils');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+
+// Limits for the reminder times a client can choose
+const MAX_REMINDER_HOURS = 168;
+const MAX_REMINDERS = 3;
+
+// A reminder left "sending" this long was interrupted (e.g. by a restart) and is sent again
+const SENDING_LEASE = 10 * 60 * 1000;
+
+// Attempts before a reminder that could not be delivered is given up
+const MAX_ATTEMPTS = 3;
+
+exports.MAX_REMINDER_HOURS = MAX_REMINDER_HOURS;
+exports.MAX_REMINDERS = MAX_REMINDERS;
+
+// Get the reminder times of a user in hours before the appointment, closest to the appointment first
+exports.getReminderHours = (user) => {
+  const { reminderTime, reminderTimes } = user.preferences || {};
+  const hours = reminderTimes && reminderTimes.length > 0 ? reminderTimes : [reminderTime || 24];
+
+  return [...new Set(hours)].sort((a, b) => a - b);
+};
+
+// Validate reminder times from a request, returning an error message or null
+exports.validateReminderHours = (hours) => {
+  if (!Array.isArray(hours) || hours.length > MAX_REMINDERS) {
+    return `Reminder times must be a list of at most ${MAX_REMINDERS} values`;
+  }
+
+  if (hours.some(value => typeof value !== 'number' || value <= 0 || value > MAX_REMINDER_HOURS)) {
+    return `Reminder times must be more than 0 and at most ${MAX_REMINDER_HOURS} hours`;
+  }
+
+  return null;
+};
+
+// Find the reminder to send for an appointment now: the closest one whose time has come. Reminders
+// that were due before the appointment was booked are not sent, and neither are earlier reminders
+// overtaken by a later one (e.g. after downtime). Returns { hoursBefore, skipped } or null.
+const getDueReminder = (appointment, reminderHours, now) => {
+  const start = appointment.appointmentDateTime;
+  const findReminder = (hours) => appointment.reminders.find(reminder => reminder.hoursBefore === hours);
+
+  // Reminders not handled yet, interrupted, or failed with attempts left
+  const open = reminderHours.filter(hours => {
+    const sendAt = start.getTime() - hours * 60 * 60 * 1000;
+    if (sendAt > now.getTime() || sendAt < appointment.createdAt.getTime()) {
+      return false;
+    }
+
+    const reminder = findReminder(hours);
+    return !reminder || reminder.status === 'sending' ||
+      (reminder.status === 'failed' && reminder.attempts < MAX_ATTEMPTS);
+  });
+
+  if (open.length === 0) {
+    return null;
+  }
+
+  return {
+    hoursBefore: open[0],
+    skipped: open.slice(1).filter(hours => !findReminder(hours))
+  };
+};
+
+// Claim a reminder so no other run sends it, resolving to true if this run should send it
+const claimReminder = async (appointmentId, hoursBefore, now) => {
+  const created = await Appointment.updateOne(
+    { _id: appointmentId, 'reminders.hoursBefore': { $ne: hoursBefore } },
+    { $push: { reminders: { hoursBefore, status: 'sending', attempts: 1, claimedAt: now } } }
+  );
+
+  if (created.modifiedCount === 1) {
+    return true;
+  }
+
+  // Take over a failed attempt, or one left unfinished by a run that stopped
+  const retried = await Appointment.updateOne(
+    {
+      _id: appointmentId,
+      reminders: {
+        $elemMatch: {
+          hoursBefore,
+          attempts: { $lt: MAX_ATTEMPTS },
+          $or: [
+            { status: 'failed' },
+            { status: 'sending', claimedAt: { $lt: new Date(now.getTime() - SENDING_LEASE) } }
+          ]
+        }
+      }
+    },
+    {
+      $set: { 'reminders.$.status': 'sending', 'reminders.$.claimedAt': now },
+      $inc: { 'reminders.$.attempts': 1 }
+    }
+  );
+
+  return retried.modifiedCount === 1;
+};
+
+// Record reminders that will not be sent
+const skipReminders = async (appointmentId, hours) => {
+  for (const hoursBefore of hours) {
+    await Appointment.updateOne(
+      { _id: appointmentId, 'reminders.hoursBefore': { $ne: hoursBefore } },
+      { $push: { reminders: { hoursBefore, status: 'skipped' } } }
+    );
+  }
+};
+
+// Queue a reminder on the channels the client has enabled, resolving to true if any of them worked
+const sendReminder = async (appointment) => {
+  const user = appointment.userId;
+  const service = appointment.serviceId;
+  const results = [];
+
+  if (user.preferences.emailNotifications) {
+    results.push(await emailService.sendAppointmentReminder(user, appointment, service));
+  }
+
+  if (user.preferences.smsNotifications) {
+    results.push(await smsService.sendAppointmentReminderSMS(user, appointment, service));
+  }
+
+  return results.includes(true);
+};
+
+// Send every reminder that is due, resolving to the number of reminders sent
+exports.sendDueReminders = async (now = new Date()) => {
+  const appointments = await Appointment.find({
+    status: { $in: ['pending', 'confirmed'] },
+    date: {
+      $gte: dateUtils.startOfDay(now),
+      $lte: dateUtils.endOfDay(new Date(now.getTime() + MAX_REMINDER_HOURS * 60 * 60 * 1000))
+    }
+  })
+    .populate('userId')
+    .populate('serviceId');
+
+  let sentCount = 0;
+
+  for (const appointment of appointments) {
+    const user = appointment.userId;
+
+    if (!user || appointment.appointmentDateTime <= now) {
+      continue;
+    }
+
+    const dueReminder = getDueReminder(appointment, this.getReminderHours(user), now);
+    if (!dueReminder) {
+      continue;
+    }
+
+    await skipReminders(appointment._id, dueReminder.skipped);
+
+    // Clients who turned off every channel do not get reminders
+    if (!user.preferences.emailNotifications && !user.preferences.smsNotifications) {
+      await skipReminders(appointment._id, [dueReminder.hoursBefore]);
+      continue;
+    }
+
+    if (!await claimReminder(appointment._id, dueReminder.hoursBefore, now)) {
+      continue;
+    }
+
+    const sent = await sendReminder(appointment);
+
+    const update = sent
+      ? { 'reminders.$.status': 'sent', 'reminders.$.sentAt': new Date(), reminderSent: true }
+      : { 'reminders.$.status': 'failed' };
+
+    await Appointment.updateOne(
+      { _id: appointment._id, 'reminders.hoursBefore': dueReminder.hoursBefore },
+      { $set: update }
+    );
+
+    if (sent) {
+      sentCount++;
+    }
+  }
+
+  return sentCount;
+};
@@ -1,57 +1,407 @@
 
 // Helper functions for scheduling and availability
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const Closure = require('../models/Closure');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const Staff = require('../models/Staff');
+const SlotHold = require('../models/SlotHold');
+const BlockedPeriod = require('../models/BlockedPeriod');
+const dateUtils = require('./dateUtils');
+const serviceUtils = require('./serviceUtils');
 
-// Define business hours (24-hour format)
-const BUSINESS_HOURS = {
-  start: 9, // 9:00 AM
-  end: 18,  // 6:00 PM
+// Default opening hours (24-hour format), used for weekdays with no stored schedule
+const DEFAULT_SHIFTS = [{ start: '09:00', end: '18:00' }];
+
+// Default open weekdays (0 = Sunday, 6 = Saturday) - open Sunday to Friday, closed on Saturday
+const DEFAULT_OPEN_DAYS = [0, 1, 2, 3, 4, 5];
+
+// Default time slot interval in minutes
+const DEFAULT_TIME_SLOT_INTERVAL = 30;
+
+// Stand-in barber used while no staff members are set up, so the shop books as a single chair
+const SHOP_CHAIR = { _id: null, workingHours: [] };
+
+// Convert an "HH:MM" string to minutes since start of day
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since start of day to an "HH:MM" string
+const minutesToTime = (totalMinutes) => {
+  const hour = Math.floor(totalMinutes / 60);
+  const minute = totalMinutes % 60;
+  return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+};
+
+// Get the first and last moment of the shop-local day containing a date
+const getDayBounds = (date) => ({
+  startOfDay: dateUtils.startOfDay(date),
+  endOfDay: dateUtils.endOfDay(date)
+});
+
+// Get the booked slots that take up a barber's time
+const getStaffBookedSlots = (bookedSlots, staff) => {
+  // Appointments without a barber predate multi-barber support and block every chair
+  return bookedSlots.filter(slot =>
+    !staff._id || !slot.staffId || slot.staffId === staff._id.toString()
+  );
+};
+
+exports.timeToMinutes = timeToMinutes;
+exports.minutesToTime = minutesToTime;
+exports.getDayBounds = getDayBounds;
+
+// Get the schedule used for a weekday when none has been stored
+exports.getDefaultDaySchedule = (dayOfWeek) => ({
+  dayOfWeek,
+  isOpen: DEFAULT_OPEN_DAYS.includes(dayOfWeek),
+  shifts: DEFAULT_SHIFTS.map(shift => ({ ...shift })),
+  slotInterval: DEFAULT_TIME_SLOT_INTERVAL
+});
+
+// Get the full weekly schedule, filling in defaults for missing weekdays
+exports.getWeeklySchedule = async () => {
+  const storedDays = await Schedule.find().sort({ dayOfWeek: 1 });
+  const weeklySchedule = [];
+
+  for (let dayOfWeek = 0; dayOfWeek < 7; dayOfWeek++) {
+    const stored = storedDays.find(day => day.dayOfWeek === dayOfWeek);
+    weeklySchedule.push(stored ? stored.toObject() : this.getDefaultDaySchedule(dayOfWeek));
+  }
+
+  return weeklySchedule;
+};
+
+// Check if a blocked period applies on a date: one-off periods on their own date,
+// recurring ones on their weekdays (or every day when none are listed)
+const blockedPeriodApplies = (period, date) => {
+  if (period.date) {
+    return dateUtils.toDateKey(period.date) === dateUtils.toDateKey(date);
+  }
+
+  return !period.daysOfWeek || period.daysOfWeek.length === 0 ||
+    period.daysOfWeek.includes(dateUtils.getWeekday(date));
+};
+
+// Build the schedule for a date from the weekly schedule, the closures overlapping it
+// and the blocked periods falling on it
+const buildDaySchedule = (weeklySchedule, closures, blockedPeriods, date) => {
+  const { startOfDay, endOfDay } = getDayBounds(date);
+  const daySchedule = { ...weeklySchedule[dateUtils.getWeekday(date)] };
+
+  const dayClosures = closures.filter(closure =>
+    closure.startDate <= endOfDay && closure.endDate >= startOfDay
+  );
+
+  // A full-day closure shuts the whole day, partial closures block part of it
+  if (dayClosures.some(closure => closure.isFullDay)) {
+    daySchedule.isOpen = false;
+  }
+
+  daySchedule.blocked = dayClosures
+    .filter(closure => !closure.isFullDay)
+    .map(closure => ({
+      start: closure.startTime,
+      end: closure.endTime,
+      reason: closure.reason,
+      staffId: null
+    }));
+
+  // Breaks and blocks for the whole shop or for a single barber
+  for (const period of blockedPeriods) {
+    if (blockedPeriodApplies(period, date)) {
+      daySchedule.blocked.push({
+        start: period.startTime,
+        end: period.endTime,
+        reason: period.reason,
+        staffId: period.staffId ? period.staffId.toString() : null
+      });
+    }
+  }
+
+  return daySchedule;
+};
+
+// Get the schedule for every day in a range, keyed by "YYYY-MM-DD", taking closures and
+// blocked periods into account
+exports.getDaySchedules = async (from, to) => {
+  const firstDay = dateUtils.startOfDay(from);
+  const lastDay = dateUtils.startOfDay(to);
+
+  const weeklySchedule = await this.getWeeklySchedule();
+  const closures = await Closure.find({
+    startDate: { $lte: dateUtils.endOfDay(lastDay) },
+    endDate: { $gte: firstDay }
+  });
+  const blockedPeriods = await BlockedPeriod.find({
+    $or: [
+      { date: { $gte: firstDay, $lte: dateUtils.endOfDay(lastDay) } },
+      { date: null }
+    ]
+  });
+
+  const daySchedules = new Map();
+
+  for (let day = firstDay; day <= lastDay; day = dateUtils.addDays(day, 1)) {
+    daySchedules.set(dateUtils.toDateKey(day), buildDaySchedule(weeklySchedule, closures, blockedPeriods, day));
+  }
+
+  return daySchedules;
+};
+
+// Get the schedule that applies to a specific date, taking closures into account
+exports.getDaySchedule = async (date) => {
+  const daySchedules = await this.getDaySchedules(date, date);
+  return daySchedules.get(dateUtils.toDateKey(date));
+};
+
+// Get the appointments and slot holds that take up time in a date range with a single aggregated
+// query, formatted for the availability check and keyed by "YYYY-MM-DD". Appointments being moved
+// (or a client's own hold) can be excluded by ID (a single ID or an array).
+exports.getBookedSlotsByDay = async (from, to, excludeAppointmentIds) => {
+  const dateRange = {
+    $gte: dateUtils.startOfDay(from),
+    $lte: dateUtils.endOfDay(to)
+  };
+
+  const match = {
+    date: dateRange,
+    status: { $nin: ['cancelled', 'no-show'] }
+  };
+
+  const holdQuery = {
+    date: dateRange,
+    expiresAt: { $gt: new Date() }
+  };
+
+  // Excluded IDs can be appointments or slot holds
+  if (excludeAppointmentIds) {
+    match._id = {
+      $nin: [].concat(excludeAppointmentIds).map(id => new mongoose.Types.ObjectId(id.toString()))
+    };
+    holdQuery._id = match._id;
+  }
+
+  const days = await Appointment.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Service.collection.name,
+        localField: 'serviceId',
+        foreignField: '_id',
+        as: 'service'
+      }
+    },
+    // Keep appointments whose service was deleted; their time is still taken
+    { $unwind: { path: '$service', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: dateUtils.SHOP_TIMEZONE } },
+        appointments: {
+          $push: {
+            timeSlot: '$timeSlot',
+            // Multi-service appointments store their combined duration and buffers; an old
+            // appointment whose service was deleted takes the default duration
+            serviceDuration: {
+              $ifNull: ['$duration', { $ifNull: ['$service.duration', serviceUtils.DEFAULT_APPOINTMENT_DURATION] }]
+            },
+            bufferBefore: { $ifNull: ['$bufferBefore', { $ifNull: ['$service.bufferBefore', 0] }] },
+            bufferAfter: { $ifNull: ['$bufferAfter', { $ifNull: ['$service.bufferAfter', 0] }] },
+            staffId: '$staffId'
+          }
+        }
+      }
+    }
+  ]);
+
+  const bookedSlotsByDay = new Map();
+
+  for (const day of days) {
+    bookedSlotsByDay.set(day._id, day.appointments.map(appointment => ({
+      ...appointment,
+      staffId: appointment.staffId ? appointment.staffId.toString() : null
+    })));
+  }
+
+  // Slots held during checkout take up time like bookings until they expire
+  const holds = await SlotHold.find(holdQuery);
+
+  for (const hold of holds) {
+    const dateKey = dateUtils.toDateKey(hold.date);
+
+    if (!bookedSlotsByDay.has(dateKey)) {
+      bookedSlotsByDay.set(dateKey, []);
+    }
+
+    bookedSlotsByDay.get(dateKey).push({
+      timeSlot: hold.timeSlot,
+      serviceDuration: hold.duration,
+      bufferBefore: hold.bufferBefore || 0,
+      bufferAfter: hold.bufferAfter || 0,
+      staffId: hold.staffId ? hold.staffId.toString() : null
+    });
+  }
+
+  return bookedSlotsByDay;
+};
+
+// Get the appointments that take up time on a date, formatted for the availability check
+exports.getBookedSlots = async (date, excludeAppointmentId) => {
+  const bookedSlotsByDay = await this.getBookedSlotsByDay(date, date, excludeAppointmentId);
+  return bookedSlotsByDay.get(dateUtils.toDateKey(date)) || [];
+};
+
+// Get the active barbers who perform a service (or every service in a list),
+// optionally limited to one barber ("any" means all)
+exports.getEligibleStaff = async (serviceIds, staffId) => {
+  const anyStaff = !staffId || staffId === 'any';
+  const activeStaffCount = await Staff.countDocuments({ isActive: true });
+
+  if (activeStaffCount === 0) {
+    return anyStaff ? [SHOP_CHAIR] : [];
+  }
+
+  const query = { isActive: true, services: { $all: [].concat(serviceIds) } };
+  if (!anyStaff) {
+    query._id = staffId;
+  }
+
+  return Staff.find(query).sort({ firstName: 1, lastName: 1 });
+};
+
+// Narrow a day's schedule to the hours a barber works
+exports.getStaffDaySchedule = (daySchedule, staff) => {
+  const workingDay = (staff.workingHours || []).find(day => day.dayOfWeek === daySchedule.dayOfWeek);
+
+  // Keep the shop's blocked periods and the barber's own
+  const blocked = (daySchedule.blocked || []).filter(period =>
+    !period.staffId || (staff._id && period.staffId === staff._id.toString())
+  );
+
+  if (!workingDay) {
+    return { ...daySchedule, blocked };
+  }
+
+  const shifts = [];
+
+  if (workingDay.isOpen) {
+    for (const shopShift of daySchedule.shifts) {
+      for (const staffShift of workingDay.shifts) {
+        const start = Math.max(timeToMinutes(shopShift.start), timeToMinutes(staffShift.start));
+        const end = Math.min(timeToMinutes(shopShift.end), timeToMinutes(staffShift.end));
+
+        if (start < end) {
+          shifts.push({ start: minutesToTime(start), end: minutesToTime(end) });
+        }
+      }
+    }
+  }
+
+  return {
+    ...daySchedule,
+    isOpen: daySchedule.isOpen && shifts.length > 0,
+    shifts,
+    blocked
+  };
 };
 
-// Time slot interval in minutes
-const TIME_SLOT_INTERVAL = 30;
+// Validate a list of shifts, returning an error message or null
+exports.validateShifts = (shifts) => {
+  if (!Array.isArray(shifts)) {
+    return 'Shifts must be an array';
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  // Check every shift on its own before sorting them by their start times
+  for (const shift of shifts) {
+    if (!shift || typeof shift.start !== 'string' || typeof shift.end !== 'string') {
+      return 'Each shift must have a start and an end time';
+    }
+
+    if (!timePattern.test(shift.start) || !(timePattern.test(shift.end) || shift.end === '24:00')) {
+      return 'Shift times must be in HH:MM format';
+    }
+
+    if (timeToMinutes(shift.start) >= timeToMinutes(shift.end)) {
+      return 'Shift start time must be before its end time';
+    }
+  }
+
+  const sorted = [...shifts].sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (timeToMinutes(sorted[i].start) < timeToMinutes(sorted[i - 1].end)) {
+      return 'Shifts must not overlap';
+    }
+  }
+
+  return null;
+};
 
-// Generate all possible time slots for a day
-exports.generateTimeSlots = () => {
+// Generate all possible time slots for a day's schedule
+exports.generateTimeSlots = (daySchedule) => {
   const slots = [];
-  const totalSlots = ((BUSINESS_HOURS.end - BUSINESS_HOURS.start) * 60) / TIME_SLOT_INTERVAL;
   
-  for (let i = 0; i < totalSlots; i++) {
-    const minutes = i * TIME_SLOT_INTERVAL;
-    const hour = Math.floor(minutes / 60) + BUSINESS_HOURS.start;
-    const minute = minutes % 60;
+  if (!daySchedule.isOpen) {
+    return slots;
+  }
+  
+  const interval = daySchedule.slotInterval || DEFAULT_TIME_SLOT_INTERVAL;
+  
+  for (const shift of daySchedule.shifts) {
+    const shiftEnd = timeToMinutes(shift.end);
     
-    slots.push(
-      `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`
-    );
+    for (let minutes = timeToMinutes(shift.start); minutes < shiftEnd; minutes += interval) {
+      slots.push(minutesToTime(minutes));
+    }
   }
   
   return slots;
 };
 
-// Check if a time slot is available given existing appointments and service duration
-exports.isTimeSlotAvailable = (timeSlot, existingAppointments, serviceDuration) => {
+// Check if a time slot is available given existing appointments and service duration. Buffers
+// ({ bufferBefore, bufferAfter }) keep time free around the appointment; they may not overlap
+// other appointments or their buffers, but can reach outside the shifts and blocked periods.
+exports.isTimeSlotAvailable = (timeSlot, existingAppointments, serviceDuration, daySchedule, buffers = {}) => {
+  if (!daySchedule.isOpen) {
+    return false;
+  }
+  
   // Convert time slot to minutes since start of day
-  const [hours, minutes] = timeSlot.split(':').map(Number);
-  const slotStartMinutes = hours * 60 + minutes;
+  const slotStartMinutes = timeToMinutes(timeSlot);
   const slotEndMinutes = slotStartMinutes + serviceDuration;
   
-  // Check if slot is within business hours
-  if (hours < BUSINESS_HOURS.start || slotEndMinutes > BUSINESS_HOURS.end * 60) {
+  // Check if slot fits entirely within one of the day's shifts
+  const withinShift = daySchedule.shifts.some(shift =>
+    slotStartMinutes >= timeToMinutes(shift.start) &&
+    slotEndMinutes <= timeToMinutes(shift.end)
+  );
+  
+  if (!withinShift) {
     return false;
   }
   
-  // Check for conflicts with existing appointments
+  // Check for conflicts with blocked periods such as partial-day closures
+  for (const period of daySchedule.blocked || []) {
+    if (slotStartMinutes < timeToMinutes(period.end) && slotEndMinutes > timeToMinutes(period.start)) {
+      return false;
+    }
+  }
+  
+  // Check for conflicts with existing appointments, including buffers on both sides
+  const paddedStartMinutes = slotStartMinutes - (buffers.bufferBefore || 0);
+  const paddedEndMinutes = slotEndMinutes + (buffers.bufferAfter || 0);
+  
   for (const appointment of existingAppointments) {
-    const [appHours, appMinutes] = appointment.timeSlot.split(':').map(Number);
-    const appStartMinutes = appHours * 60 + appMinutes;
-    const appEndMinutes = appStartMinutes + appointment.serviceDuration;
+    const appStartMinutes = timeToMinutes(appointment.timeSlot) - (appointment.bufferBefore || 0);
+    const appEndMinutes = timeToMinutes(appointment.timeSlot) + appointment.serviceDuration + (appointment.bufferAfter || 0);
     
     // Check for overlap
-    if (
-      (slotStartMinutes >= appStartMinutes && slotStartMinutes < appEndMinutes) ||
-      (slotEndMinutes > appStartMinutes && slotEndMinutes <= appEndMinutes) ||
-      (slotStartMinutes <= appStartMinutes && slotEndMinutes >= appEndMinutes)
-    ) {
+    if (paddedStartMinutes < appEndMinutes && paddedEndMinutes > appStartMinutes) {
       return false;
     }
   }
@@ -60,12 +410,12 @@ exports.isTimeSlotAvailable = (timeSlot, existingAppointments, serviceDuration)
 };
 
 // Get available time slots for a specific date and service
-exports.getAvailableTimeSlots = (date, existingAppointments, serviceDuration) => {
-  const allSlots = this.generateTimeSlots();
+exports.getAvailableTimeSlots = (date, existingAppointments, serviceDuration, daySchedule, buffers) => {
+  const allSlots = this.generateTimeSlots(daySchedule);
   const availableSlots = [];
   
   for (const slot of allSlots) {
-    if (this.isTimeSlotAvailable(slot, existingAppointments, serviceDuration)) {
+    if (this.isTimeSlotAvailable(slot, existingAppointments, serviceDuration, daySchedule, buffers)) {
       availableSlots.push(slot);
     }
   }
@@ -73,16 +423,80 @@ exports.getAvailableTimeSlots = (date, existingAppointments, serviceDuration) =>
   return availableSlots;
 };
 
-// Check if a date is a business day (not weekend or holiday)
-exports.isBusinessDay = (date) => {
-  const day = date.getDay();
-  
-  // Check if weekend (0 = Sunday, 6 = Saturday)
-  if (day === 0 || day === 6) {
-    return false;
+// Get available time slots for each barber on a date
+exports.getStaffAvailableSlots = (date, bookedSlots, serviceDuration, daySchedule, staffMembers, buffers) => {
+  return staffMembers.map(staff => ({
+    staff,
+    slots: this.getAvailableTimeSlots(
+      date,
+      getStaffBookedSlots(bookedSlots, staff),
+      serviceDuration,
+      this.getStaffDaySchedule(daySchedule, staff),
+      buffers
+    )
+  }));
+};
+
+// Remove time slots that have already started
+exports.removePastSlots = (date, slots) => {
+  const now = new Date();
+  return slots.filter(slot => dateUtils.combineDateAndTime(date, slot) > now);
+};
+
+// Merge per-barber availability into a sorted list of unique time slots
+exports.mergeStaffSlots = (staffAvailability) => {
+  const slots = new Set();
+
+  for (const { slots: staffSlots } of staffAvailability) {
+    staffSlots.forEach(slot => slots.add(slot));
   }
-  
-  // Here you would add logic for holidays
-  // For demonstration, we'll just return true for all weekdays
-  return true;
+
+  return [...slots].sort((a, b) => timeToMinutes(a) - timeToMinutes(b));
+};
+
+// Get the barbers free for a time slot, ordered by fewest bookings that day first
+exports.getAvailableStaffForSlot = (timeSlot, bookedSlots, serviceDuration, daySchedule, staffMembers, buffers) => {
+  const freeStaff = staffMembers.filter(staff =>
+    this.isTimeSlotAvailable(
+      timeSlot,
+      getStaffBookedSlots(bookedSlots, staff),
+      serviceDuration,
+      this.getStaffDaySchedule(daySchedule, staff),
+      buffers
+    )
+  );
+
+  const bookingCount = (staff) => bookedSlots.filter(slot =>
+    staff._id && slot.staffId === staff._id.toString()
+  ).length;
+
+  return freeStaff.sort((a, b) => bookingCount(a) - bookingCount(b));
+};
+
+// Get available time slots per barber for every day in a range, leaving out slots that have passed.
+// Appointments or holds listed in excludeIds do not count as booked.
+exports.getRangeAvailability = async (from, to, serviceDuration, staffMembers, excludeIds, buffers) => {
+  const daySchedules = await this.getDaySchedules(from, to);
+  const bookedSlotsByDay = await this.getBookedSlotsByDay(from, to, excludeIds);
+  const days = [];
+
+  for (const [dateKey, daySchedule] of daySchedules) {
+    const date = dateUtils.parseDate(dateKey);
+    const bookedSlots = bookedSlotsByDay.get(dateKey) || [];
+
+    const staffAvailability = daySchedule.isOpen
+      ? this.getStaffAvailableSlots(date, bookedSlots, serviceDuration, daySchedule, staffMembers, buffers)
+        .map(({ staff, slots }) => ({ staff, slots: this.removePastSlots(date, slots) }))
+      : [];
+
+    days.push({ date: dateKey, daySchedule, bookedSlots, staffAvailability });
+  }
+
+  return days;
+};
+
+// Check if a date is a business day (open according to the weekly schedule and not closed)
+exports.isBusinessDay = async (date) => {
+  const daySchedule = await this.getDaySchedule(date);
+  return daySchedule.isOpen;
 };
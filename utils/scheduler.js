@@ -0,0 +1,44 @@
+
+// Minimal in-process job scheduler. Each job runs on its own interval and never overlaps itself;
+// jobs keep their progress in the database so they can pick up again after a restart.
+const jobs = new Map();
+
+// Run a job once unless it is still busy with the previous run
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+
+  try {
+    await job.run();
+  } catch (err) {
+    console.error(`Error in job ${job.name}:`, err);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Register a job to run every intervalMs milliseconds
+exports.register = (name, intervalMs, run) => {
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+// Start every registered job, running each one right away
+exports.start = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    runJob(job);
+  }
+};
+
+// Stop every job
+exports.stop = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
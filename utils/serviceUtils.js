@@ -0,0 +1,123 @@
+
+// Helper functions for appointments that combine several services
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+
+// Most services a single appointment can combine
+const MAX_SERVICES_PER_APPOINTMENT = 5;
+
+// Length assumed for an appointment whose duration is unknown, i.e. an old single-service
+// booking whose service has been deleted
+const DEFAULT_APPOINTMENT_DURATION = 30;
+
+exports.MAX_SERVICES_PER_APPOINTMENT = MAX_SERVICES_PER_APPOINTMENT;
+exports.DEFAULT_APPOINTMENT_DURATION = DEFAULT_APPOINTMENT_DURATION;
+
+// Read the ordered service IDs of a request, accepting `serviceIds` (array or comma-separated)
+// or a single `serviceId`. Returns { error } or { serviceIds }.
+exports.parseServiceIds = ({ serviceIds, serviceId }) => {
+  let ids = serviceIds || (serviceId ? [serviceId] : []);
+
+  if (typeof ids === 'string') {
+    ids = ids.split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'At least one service is required' };
+  }
+
+  if (ids.length > MAX_SERVICES_PER_APPOINTMENT) {
+    return { error: `An appointment can include at most ${MAX_SERVICES_PER_APPOINTMENT} services` };
+  }
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid service ID' };
+  }
+
+  if (new Set(ids.map(String)).size !== ids.length) {
+    return { error: 'Each service can only be included once' };
+  }
+
+  return { serviceIds: ids.map(String) };
+};
+
+// Load services in the requested order, resolving to null if any of them does not exist
+exports.loadServices = async (serviceIds) => {
+  const services = await Service.find({ _id: { $in: serviceIds } });
+
+  const ordered = serviceIds.map(id => services.find(service => service._id.toString() === id.toString()));
+  return ordered.includes(undefined) ? null : ordered;
+};
+
+// Combined duration of services, in minutes
+exports.getTotalDuration = (services) => {
+  return services.reduce((total, service) => total + service.duration, 0);
+};
+
+// Total price of services
+exports.getTotalPrice = (services) => {
+  return services.reduce((total, service) => total + service.price, 0);
+};
+
+// Loyalty points earned for services, counted per service
+exports.getLoyaltyPoints = (services) => {
+  return services.reduce((total, service) => total + (service.loyaltyPointsEarned || 0), 0);
+};
+
+// Buffers kept free around a booking: preparation for the first service and cleanup after the last
+exports.getBuffers = (services) => ({
+  bufferBefore: services[0].bufferBefore || 0,
+  bufferAfter: services[services.length - 1].bufferAfter || 0
+});
+
+// Build the appointment fields that record the booked services
+exports.buildAppointmentServices = (services) => ({
+  serviceId: services[0]._id,
+  services: services.map(service => ({
+    serviceId: service._id,
+    name: service.name,
+    duration: service.duration,
+    price: service.price,
+    loyaltyPointsEarned: service.loyaltyPointsEarned || 0
+  })),
+  duration: this.getTotalDuration(services),
+  price: this.getTotalPrice(services),
+  ...this.getBuffers(services)
+});
+
+// Get the services of an appointment in booking order. Appointments booked before
+// multi-service support only have a (populated) serviceId.
+exports.getAppointmentServices = (appointment) => {
+  if (appointment.services && appointment.services.length > 0) {
+    return appointment.services;
+  }
+
+  const service = appointment.serviceId;
+  return service && service.duration !== undefined
+    ? [{ serviceId: service._id, name: service.name, duration: service.duration, price: service.price }]
+    : [];
+};
+
+// Combined duration of an appointment, in minutes
+exports.getAppointmentDuration = (appointment) => {
+  return appointment.duration ||
+    this.getTotalDuration(this.getAppointmentServices(appointment)) ||
+    DEFAULT_APPOINTMENT_DURATION;
+};
+
+// Buffers of an appointment, falling back to its (populated) main service for older appointments
+exports.getAppointmentBuffers = (appointment) => {
+  const service = appointment.serviceId || {};
+
+  return {
+    bufferBefore: appointment.bufferBefore !== undefined ? appointment.bufferBefore : service.bufferBefore || 0,
+    bufferAfter: appointment.bufferAfter !== undefined ? appointment.bufferAfter : service.bufferAfter || 0
+  };
+};
+
+// Total price of an appointment
+exports.getAppointmentPrice = (appointment) => {
+  return appointment.price !== undefined && appointment.price !== null
+    ? appointment.price
+    : this.getTotalPrice(this.getAppointmentServices(appointment));
+};
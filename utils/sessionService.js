@@ -0,0 +1,132 @@
+
+// Sign-in sessions. Signing in opens a session and returns a short-lived access token with a
+// refresh token. Each refresh replaces the refresh token; presenting one that was already replaced
+// means it was copied, so the whole session is revoked.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('./jwtGenerator');
+
+// How long a session lasts without being refreshed
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Build a refresh token naming its session, as "<sessionId>.<secret>"
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Open a session for a user signing in, resolving to { token, refreshToken }
+exports.createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: getExpiry()
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateToken(user.id, user.role, session.id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access token and refresh token, resolving to
+// { token, refreshToken, user } or null if the token is not valid
+exports.refreshSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[0-9a-f]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  const now = new Date();
+  const newRefreshToken = buildRefreshToken(sessionId);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        lastUsedAt: now,
+        expiresAt: getExpiry(now),
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A replaced token for a live session was used again: revoke the session
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'token-reuse', updatedAt: now } }
+    );
+    return null;
+  }
+
+  const user = await User.findById(session.userId).select('-password');
+  if (!user) {
+    await this.revokeSession(session._id, 'user-deleted');
+    return null;
+  }
+
+  return {
+    token: generateToken(user.id, user.role, session.id),
+    refreshToken: newRefreshToken,
+    user
+  };
+};
+
+// Tell whether a session is still active
+exports.isActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(session);
+};
+
+// Revoke one session
+exports.revokeSession = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, updatedAt: new Date() } }
+  );
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the device changing the password).
+// Resolves to the number revoked.
+exports.revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(
+    query,
+    { $set: { revokedAt: new Date(), revokedReason: reason, updatedAt: new Date() } }
+  );
+
+  return result.modifiedCount;
+};
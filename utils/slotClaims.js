@@ -0,0 +1,224 @@
+
+// Atomic slot reservation backed by unique claim documents
+const mongoose = require('mongoose');
+const SlotClaim = require('../models/SlotClaim');
+const Appointment = require('../models/Appointment');
+const scheduleUtils = require('./scheduleUtils');
+const serviceUtils = require('./serviceUtils');
+
+// Size of each claimed block in minutes
+const CLAIM_GRANULARITY = 5;
+
+// How long an unconfirmed claim survives if the request that made it never finishes
+const PENDING_CLAIM_TTL = 5 * 60 * 1000;
+
+// Get the claim key for a barber
+const getStaffKey = (staffId) => (staffId ? staffId.toString() : 'shop');
+
+// Get the minute blocks covered by a time slot and duration, including the buffers around it
+const getClaimMinutes = (timeSlot, duration, bufferBefore = 0, bufferAfter = 0) => {
+  const start = Math.max(scheduleUtils.timeToMinutes(timeSlot) - bufferBefore, 0);
+  const end = scheduleUtils.timeToMinutes(timeSlot) + duration + bufferAfter;
+  const minutes = [];
+
+  for (let minute = Math.floor(start / CLAIM_GRANULARITY) * CLAIM_GRANULARITY; minute < end; minute += CLAIM_GRANULARITY) {
+    minutes.push(minute);
+  }
+
+  return minutes;
+};
+
+// Reserve the blocks a booking occupies. Blocks already held by the same appointment are reused,
+// so an appointment can be moved onto an overlapping time. New blocks expire after the pending
+// TTL unless another expiry is given. Resolves to a reservation, or null if any block is taken.
+exports.reserve = async ({ appointmentId, staffId, date, timeSlot, duration, bufferBefore, bufferAfter, expiresAt }) => {
+  const staffKey = getStaffKey(staffId);
+  const { startOfDay } = scheduleUtils.getDayBounds(date);
+  const minutes = getClaimMinutes(timeSlot, duration, bufferBefore, bufferAfter);
+
+  // Clear expired claims the TTL monitor has not removed yet
+  await SlotClaim.deleteMany({
+    staffKey,
+    date: startOfDay,
+    minute: { $in: minutes },
+    expiresAt: { $lte: new Date() }
+  });
+
+  const ownClaims = await SlotClaim.find({
+    appointmentId,
+    staffKey,
+    date: startOfDay,
+    minute: { $in: minutes }
+  });
+
+  const ownMinutes = ownClaims.map(claim => claim.minute);
+  const claimExpiresAt = expiresAt || new Date(Date.now() + PENDING_CLAIM_TTL);
+
+  const newClaims = minutes
+    .filter(minute => !ownMinutes.includes(minute))
+    .map(minute => ({
+      _id: new mongoose.Types.ObjectId(),
+      staffKey,
+      date: startOfDay,
+      minute,
+      appointmentId,
+      expiresAt: claimExpiresAt
+    }));
+
+  const insertedIds = newClaims.map(claim => claim._id);
+
+  try {
+    await SlotClaim.insertMany(newClaims, { ordered: true });
+  } catch (err) {
+    // Remove whatever was inserted before the conflicting block
+    await SlotClaim.deleteMany({ _id: { $in: insertedIds } });
+
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+
+  return {
+    appointmentId,
+    claimIds: [...ownClaims.map(claim => claim._id), ...insertedIds],
+    insertedIds
+  };
+};
+
+// Make a reservation permanent and release the appointment's other claims
+exports.commit = async (reservation) => {
+  await SlotClaim.deleteMany({
+    appointmentId: reservation.appointmentId,
+    _id: { $nin: reservation.claimIds }
+  });
+
+  await SlotClaim.updateMany(
+    { _id: { $in: reservation.claimIds } },
+    { $unset: { expiresAt: 1 } }
+  );
+};
+
+// Undo a reservation that could not be completed
+exports.rollback = async (reservation) => {
+  await SlotClaim.deleteMany({ _id: { $in: reservation.insertedIds } });
+};
+
+// Release every claim held by an appointment
+exports.release = async (appointmentId) => {
+  await SlotClaim.deleteMany({ appointmentId });
+};
+
+// Release the claims of an appointment that are still pending. Committed claims are kept, e.g. a
+// hold's claims once an appointment has taken them over.
+exports.releasePending = async (appointmentId) => {
+  await SlotClaim.deleteMany({ appointmentId, expiresAt: { $ne: null } });
+};
+
+// Reserve a slot, with the appointment's buffers, for an appointment and save it, resolving to false
+// if the slot was taken
+exports.saveWithClaim = async (appointment, duration) => {
+  const reservation = await this.reserve({
+    appointmentId: appointment._id,
+    staffId: appointment.staffId,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    duration,
+    bufferBefore: appointment.bufferBefore,
+    bufferAfter: appointment.bufferAfter
+  });
+
+  if (!reservation) {
+    return false;
+  }
+
+  try {
+    await appointment.save();
+  } catch (err) {
+    await this.rollback(reservation);
+    throw err;
+  }
+
+  await this.commit(reservation);
+  return true;
+};
+
+// Reserve slots for a batch of appointments all-or-nothing. Each item lists candidate barbers in
+// order of preference; the first one whose slot can be claimed is assigned to the appointment.
+// Resolves to the reservations, or null (with nothing left claimed) if any appointment failed.
+exports.reserveAll = async (items, duration) => {
+  const reservations = [];
+
+  for (const { appointment, candidates } of items) {
+    let reservation = null;
+
+    for (const staff of candidates) {
+      reservation = await this.reserve({
+        appointmentId: appointment._id,
+        staffId: staff._id,
+        date: appointment.date,
+        timeSlot: appointment.timeSlot,
+        duration,
+        bufferBefore: appointment.bufferBefore,
+        bufferAfter: appointment.bufferAfter
+      });
+
+      if (reservation) {
+        appointment.staffId = staff._id;
+        break;
+      }
+    }
+
+    if (!reservation) {
+      for (const made of reservations) {
+        await this.rollback(made);
+      }
+      return null;
+    }
+
+    reservations.push(reservation);
+  }
+
+  return reservations;
+};
+
+// Claim the slots of upcoming active appointments that hold none, i.e. those booked before slot
+// claims existed. Appointments whose time is already claimed by another booking are left as they
+// are for an admin to sort out. Resolves to { claimed, conflicts } with the conflicting IDs.
+exports.backfill = async (now = new Date()) => {
+  const appointments = await Appointment.find({
+    status: { $nin: ['cancelled', 'no-show', 'completed'] },
+    date: { $gte: scheduleUtils.getDayBounds(now).startOfDay }
+  }).populate('serviceId');
+
+  const claimedIds = await SlotClaim.distinct('appointmentId', {
+    appointmentId: { $in: appointments.map(appointment => appointment._id) }
+  });
+  const claimed = new Set(claimedIds.map(String));
+
+  let claimedCount = 0;
+  const conflicts = [];
+
+  for (const appointment of appointments) {
+    if (claimed.has(appointment._id.toString())) continue;
+
+    const reservation = await this.reserve({
+      appointmentId: appointment._id,
+      staffId: appointment.staffId,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      duration: serviceUtils.getAppointmentDuration(appointment),
+      ...serviceUtils.getAppointmentBuffers(appointment)
+    });
+
+    if (!reservation) {
+      conflicts.push(appointment._id);
+      continue;
+    }
+
+    await this.commit(reservation);
+    claimedCount++;
+  }
+
+  return { claimed: claimedCount, conflicts };
+};
@@ -0,0 +1,60 @@
+
+// Creating and releasing slot holds
+const SlotHold = require('../models/SlotHold');
+const slotClaims = require('./slotClaims');
+const serviceUtils = require('./serviceUtils');
+
+// Hold a slot for a user with the first barber in `candidates` whose time can still be claimed.
+// The claims carry the hold's ID and expire together with it. Resolves to the saved hold,
+// or null if the slot was taken in the meantime.
+exports.createHold = async ({ userId, services, date, timeSlot, candidates, expiresAt, waitlistId }) => {
+  const hold = new SlotHold({
+    userId,
+    serviceIds: services.map(service => service._id),
+    date,
+    timeSlot,
+    duration: serviceUtils.getTotalDuration(services),
+    ...serviceUtils.getBuffers(services),
+    expiresAt,
+    waitlistId
+  });
+
+  let reservation = null;
+  for (const staffMember of candidates) {
+    reservation = await slotClaims.reserve({
+      appointmentId: hold._id,
+      staffId: staffMember._id,
+      date,
+      timeSlot,
+      duration: hold.duration,
+      bufferBefore: hold.bufferBefore,
+      bufferAfter: hold.bufferAfter,
+      expiresAt
+    });
+
+    if (reservation) {
+      hold.staffId = staffMember._id;
+      break;
+    }
+  }
+
+  if (!reservation) {
+    return null;
+  }
+
+  try {
+    await hold.save();
+  } catch (err) {
+    await slotClaims.rollback(reservation);
+    throw err;
+  }
+
+  return hold;
+};
+
+// Release a hold and the slot claims behind it. Claims already committed to the appointment booked
+// from the hold (which shares its ID) are left alone.
+exports.releaseHold = async (hold) => {
+  await SlotHold.deleteOne({ _id: hold._id });
+  await slotClaims.releasePending(hold._id);
+};
@@ -1,31 +1,44 @@
 
-const twilio = require('twilio');
+const dateUtils = require('./dateUtils');
+const templates = require('./notificationTemplates');
+const notificationService = require('./notificationService');
 
-// Initialize Twilio client
-const client = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+// Get the service names of an appointment, falling back to the single service passed in
+const getServiceNames = (appointment, service) => {
+  const services = appointment.services && appointment.services.length > 0 ? appointment.services : [service];
+  return services.map(item => item.name).join(' + ');
+};
+
+// Render a notification in the user's language and queue it for delivery, resolving to true once queued
+const sendTemplate = async (user, key, variables, appointment) => {
+  const language = templates.getLanguage(user);
+  const { text } = await templates.render(key, 'sms', language, variables);
+
+  await notificationService.enqueue({
+    userId: user._id,
+    appointmentId: appointment ? appointment._id : undefined,
+    channel: 'sms',
+    template: key,
+    language,
+    variables,
+    to: user.phone,
+    body: text
+  });
+
+  return true;
+};
 
 // Send appointment confirmation SMS
 exports.sendAppointmentConfirmationSMS = async (user, appointment, service) => {
   try {
     if (!user.phone) return false;
 
-    const date = new Date(appointment.date);
-    const formattedDate = date.toLocaleDateString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric'
-    });
-
-    const message = await client.messages.create({
-      body: `Hi ${user.firstName}, your appointment for ${service.name} is confirmed for ${formattedDate} at ${appointment.timeSlot}. - Matan Elbaz Barbershop`,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: user.phone
-    });
-
-    return message.sid ? true : false;
+    return await sendTemplate(user, 'appointmentConfirmation', {
+      firstName: user.firstName,
+      services: getServiceNames(appointment, service),
+      date: templates.formatDate(appointment.date, templates.getLanguage(user), 'short'),
+      time: appointment.timeSlot
+    }, appointment);
   } catch (error) {
     console.error('Error sending confirmation SMS:', error);
     return false;
@@ -37,44 +50,114 @@ exports.sendAppointmentReminderSMS = async (user, appointment, service) => {
   try {
     if (!user.phone) return false;
 
-    const date = new Date(appointment.date);
-    const formattedDate = date.toLocaleDateString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric'
-    });
+    return await sendTemplate(user, 'appointmentReminder', {
+      firstName: user.firstName,
+      services: getServiceNames(appointment, service),
+      date: templates.formatDate(appointment.date, templates.getLanguage(user), 'short'),
+      time: appointment.timeSlot
+    }, appointment);
+  } catch (error) {
+    console.error('Error sending reminder SMS:', error);
+    return false;
+  }
+};
 
-    const message = await client.messages.create({
-      body: `Reminder: Your appointment for ${service.name} is tomorrow, ${formattedDate} at ${appointment.timeSlot}. - Matan Elbaz Barbershop`,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: user.phone
-    });
+// Send appointment cancellation SMS, saying who cancelled ('client' or 'admin')
+exports.sendAppointmentCancellationSMS = async (user, appointment, service, cancelledBy) => {
+  try {
+    if (!user.phone) return false;
 
-    return message.sid ? true : false;
+    const language = templates.getLanguage(user);
+
+    return await sendTemplate(user, 'appointmentCancellation', {
+      firstName: user.firstName,
+      services: getServiceNames(appointment, service),
+      date: templates.formatDate(appointment.date, language, 'short'),
+      time: appointment.timeSlot,
+      cancelledBy: templates.getActorLabel(cancelledBy, language)
+    }, appointment);
   } catch (error) {
-    console.error('Error sending reminder SMS:', error);
+    console.error('Error sending cancellation SMS:', error);
     return false;
   }
 };
 
-// Send waitlist notification SMS
-exports.sendWaitlistNotificationSMS = async (user, service, date, availableSlot) => {
+// Send appointment reschedule SMS with the previous ({ date, timeSlot }) and new time
+exports.sendAppointmentRescheduleSMS = async (user, appointment, service, previous) => {
   try {
     if (!user.phone) return false;
 
-    const formattedDate = date.toLocaleDateString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric'
-    });
+    const language = templates.getLanguage(user);
 
-    const message = await client.messages.create({
-      body: `Good news! A slot for ${service.name} has opened up on ${formattedDate} at ${availableSlot}. Book now: ${process.env.FRONTEND_URL}/booking - Matan Elbaz Barbershop`,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: user.phone
-    });
+    return await sendTemplate(user, 'appointmentReschedule', {
+      firstName: user.firstName,
+      services: getServiceNames(appointment, service),
+      oldDate: templates.formatDate(previous.date, language, 'short'),
+      oldTime: previous.timeSlot,
+      date: templates.formatDate(appointment.date, language, 'short'),
+      time: appointment.timeSlot
+    }, appointment);
+  } catch (error) {
+    console.error('Error sending reschedule SMS:', error);
+    return false;
+  }
+};
+
+// Tell an admin by SMS that a client cancelled an appointment
+exports.sendAdminCancellationNoticeSMS = async (adminUser, client, appointment, service) => {
+  try {
+    if (!adminUser.phone) return false;
+
+    return await sendTemplate(adminUser, 'adminCancellationNotice', {
+      clientName: `${client.firstName} ${client.lastName}`,
+      clientPhone: client.phone,
+      services: getServiceNames(appointment, service),
+      date: templates.formatDate(appointment.date, templates.getLanguage(adminUser), 'short'),
+      time: appointment.timeSlot
+    }, appointment);
+  } catch (error) {
+    console.error('Error sending admin cancellation SMS:', error);
+    return false;
+  }
+};
+
+// Tell an admin by SMS that a client rescheduled an appointment
+exports.sendAdminRescheduleNoticeSMS = async (adminUser, client, appointment, service, previous) => {
+  try {
+    if (!adminUser.phone) return false;
+
+    const language = templates.getLanguage(adminUser);
 
-    return message.sid ? true : false;
+    return await sendTemplate(adminUser, 'adminRescheduleNotice', {
+      clientName: `${client.firstName} ${client.lastName}`,
+      clientPhone: client.phone,
+      services: getServiceNames(appointment, service),
+      oldDate: templates.formatDate(previous.date, language, 'short'),
+      oldTime: previous.timeSlot,
+      date: templates.formatDate(appointment.date, language, 'short'),
+      time: appointment.timeSlot
+    }, appointment);
+  } catch (error) {
+    console.error('Error sending admin reschedule SMS:', error);
+    return false;
+  }
+};
+
+// Send waitlist notification SMS with the link to claim the offered slot. The link is added when
+// the SMS is sent (see waitlistService).
+exports.sendWaitlistNotificationSMS = async (user, service, entry) => {
+  try {
+    if (!user.phone) return false;
+
+    return await sendTemplate(user, 'waitlistOffer', {
+      firstName: user.firstName,
+      service: service.name,
+      date: templates.formatDate(entry.offer.date, templates.getLanguage(user), 'short'),
+      time: entry.offer.timeSlot,
+      holdUntil: dateUtils.toTimeSlot(entry.offer.expiresAt),
+      waitlistId: entry._id.toString(),
+      claimUrl: notificationService.HIDDEN_SECRET
+    });
   } catch (error) {
     console.error('Error sending waitlist notification SMS:', error);
     return false;
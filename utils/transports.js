@@ -0,0 +1,140 @@
+
+// Delivery drivers for outgoing notifications, one per channel, chosen by EMAIL_TRANSPORT and
+// SMS_TRANSPORT. Nodemailer and Twilio deliver for real; the local drivers keep messages on this
+// machine for development and testing:
+//   console - log every message, naming its attachments
+//   file    - append every message as a JSON line to <NOTIFICATION_OUTBOX_DIR>/<channel>.log, by
+//             default in the system's temporary directory so messages stay out of the project
+//   memory  - keep recent messages in an outbox that admins can read through /api/outbox
+// The local drivers keep the stored copy of a message, which has its secrets (e.g. a password
+// reset link) hidden.
+// A driver is only created when the first message is sent, so missing credentials do not stop the app.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_DRIVERS = {
+  email: 'nodemailer',
+  sms: 'twilio'
+};
+
+// Messages kept by the memory driver, newest last
+const MAX_OUTBOX_SIZE = 500;
+const outbox = [];
+
+const DRIVERS = {
+  nodemailer: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      service: process.env.EMAIL_SERVICE,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      }
+    };
+  },
+
+  twilio: () => {
+    const twilio = require('twilio');
+    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+    return {
+      send: async (message) => {
+        const result = await client.messages.create(message);
+        return { id: result.sid };
+      }
+    };
+  },
+
+  console: (channel) => ({
+    send: async (message, stored = message) => {
+      const id = `console-${Date.now()}`;
+      // Attachments are listed by name rather than printed in full
+      const { attachments, ...logged } = stored;
+      if (attachments) {
+        logged.attachments = attachments.map(attachment => attachment.filename);
+      }
+
+      console.log(`[${channel}] ${id}`, JSON.stringify(logged, null, 2));
+      return { id };
+    }
+  }),
+
+  file: (channel) => {
+    const directory = process.env.NOTIFICATION_OUTBOX_DIR || path.join(os.tmpdir(), 'barber-outbox');
+    const file = path.join(directory, `${channel}.log`);
+
+    return {
+      send: async (message, stored = message) => {
+        const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.appendFile(
+          file,
+          JSON.stringify({ id, channel, sentAt: new Date(), ...stored }) + '\n'
+        );
+
+        return { id };
+      }
+    };
+  },
+
+  memory: (channel) => ({
+    send: async (message, stored = message) => {
+      const id = `memory-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      outbox.push({ id, channel, sentAt: new Date(), ...stored });
+      if (outbox.length > MAX_OUTBOX_SIZE) {
+        outbox.shift();
+      }
+
+      return { id };
+    }
+  })
+};
+
+const transports = new Map();
+
+// Get the name of the driver configured for a channel
+exports.getDriverName = (channel) => {
+  const configured = channel === 'email' ? process.env.EMAIL_TRANSPORT : process.env.SMS_TRANSPORT;
+  return configured || DEFAULT_DRIVERS[channel];
+};
+
+// Get the transport of a channel ('email' or 'sms'), creating it on first use. A transport has
+// send(message, stored), resolving to { id } once the message is handed over; stored is the copy
+// of the message with its secrets hidden.
+exports.getTransport = (channel) => {
+  const name = this.getDriverName(channel);
+
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown ${channel} transport: ${name}`);
+  }
+
+  const key = `${channel}:${name}`;
+  if (!transports.has(key)) {
+    transports.set(key, DRIVERS[name](channel));
+  }
+
+  return transports.get(key);
+};
+
+// Get messages kept by the memory driver, newest first, optionally for one channel or recipient
+exports.getOutbox = ({ channel, to, limit = 50 } = {}) => {
+  return outbox
+    .filter(message => (!channel || message.channel === channel) && (!to || message.to === to))
+    .reverse()
+    .slice(0, limit);
+};
+
+// Empty the memory outbox
+exports.clearOutbox = () => {
+  outbox.length = 0;
+};
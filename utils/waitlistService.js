@@ -0,0 +1,329 @@
+// Helper functions for the waitlist. An entry covers a range of days, optionally limited to
+// weekdays and time windows. A freed slot is offered to one entry at a time, first come first
+// served: the slot is held for the entry and a signed claim link is sent. An offer that is not
+// claimed in time expires and the slot moves on to the next entry.
+const jwt = require('jsonwebtoken');
+const Waitlist = require('../models/Waitlist');
+const SlotHold = require('../models/SlotHold');
+const scheduleUtils = require('./scheduleUtils');
+const dateUtils = require('./dateUtils');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const notificationService = require('./notificationService');
+const serviceUtils = require('./serviceUtils');
+const slotHolds = require('./slotHolds');
+
+// How long an offered slot stays held for an entry
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+const OFFER_TOKEN_PURPOSE = 'waitlist-offer';
+
+// Sign a claim link token for an offer, valid until the offer expires
+const signOfferToken = (entry) => {
+  const expiresIn = Math.max(1, Math.ceil((entry.offer.expiresAt.getTime() - Date.now()) / 1000));
+
+  return jwt.sign(
+    {
+      waitlistId: entry._id.toString(),
+      holdId: entry.offer.holdId.toString(),
+      purpose: OFFER_TOKEN_PURPOSE
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// The claim link carries a bearer token, so it is only put in an offer when the offer is sent, and
+// only while the offer is still open
+notificationService.registerSecrets('waitlistOffer', async (notification) => {
+  const entry = await Waitlist.findOne({
+    _id: notification.variables.waitlistId,
+    status: 'notified',
+    'offer.expiresAt': { $gt: new Date() }
+  });
+
+  if (!entry) {
+    return null;
+  }
+
+  return { claimUrl: `${process.env.FRONTEND_URL}/waitlist/claim/${signOfferToken(entry)}` };
+});
+
+// Verify a claim link token, resolving to { waitlistId, holdId } or null if it is invalid or expired
+exports.verifyOfferToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== OFFER_TOKEN_PURPOSE) {
+      return null;
+    }
+
+    return { waitlistId: decoded.waitlistId, holdId: decoded.holdId };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Get the last day an entry covers
+const getEndDate = (entry) => entry.endDate || entry.date;
+
+// Query for entries with one of the given statuses whose range includes a date. Weekdays are
+// checked afterwards with coversDate.
+exports.getDateQuery = (date, statuses) => {
+  const startOfDay = dateUtils.startOfDay(date);
+
+  return {
+    status: { $in: statuses },
+    date: { $lte: dateUtils.endOfDay(date) },
+    $or: [
+      { endDate: { $gte: startOfDay } },
+      { endDate: null, date: { $gte: startOfDay } }
+    ]
+  };
+};
+
+// Check whether an entry covers a date: inside its range and on one of its weekdays
+exports.coversDate = (entry, date) => {
+  const day = dateUtils.startOfDay(date);
+
+  if (day < dateUtils.startOfDay(entry.date) || day > dateUtils.endOfDay(getEndDate(entry))) {
+    return false;
+  }
+
+  return !entry.daysOfWeek || entry.daysOfWeek.length === 0 ||
+    entry.daysOfWeek.includes(dateUtils.getWeekday(day));
+};
+
+// Check whether a slot starts inside one of an entry's time windows (any time when it has none)
+const inTimeWindows = (entry, timeSlot) => {
+  if (!entry.timeWindows || entry.timeWindows.length === 0) {
+    return true;
+  }
+
+  const minutes = scheduleUtils.timeToMinutes(timeSlot);
+  return entry.timeWindows.some(window =>
+    minutes >= scheduleUtils.timeToMinutes(window.start) && minutes < scheduleUtils.timeToMinutes(window.end)
+  );
+};
+
+// Get an entry's place in the queue: one more than the number of older waiting entries for the
+// same service whose ranges overlap it. Entries that are no longer waiting have no place.
+exports.getQueuePosition = async (entry) => {
+  if (entry.status !== 'waiting') {
+    return null;
+  }
+
+  const ahead = await Waitlist.countDocuments({
+    _id: { $ne: entry._id },
+    serviceId: entry.populated('serviceId') || entry.serviceId,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+    date: { $lte: getEndDate(entry) },
+    $or: [
+      { endDate: { $gte: entry.date } },
+      { endDate: null, date: { $gte: entry.date } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+// Pick the slot to offer an entry: its first preferred slot that is free, otherwise the earliest
+const selectSlot = (entry, availableSlots) => {
+  const preferredSlot = (entry.preferredTimeSlots || []).find(slot => availableSlots.includes(slot));
+  return preferredSlot || availableSlots[0];
+};
+
+// Hold a slot for an entry and send the claim link, resolving to true if the offer was made
+const makeOffer = async (entry, date, timeSlot, candidates) => {
+  const service = entry.serviceId;
+
+  // The offer never runs past the start of the slot itself
+  const expiresAt = new Date(Math.min(
+    Date.now() + OFFER_MINUTES * 60 * 1000,
+    dateUtils.combineDateAndTime(date, timeSlot).getTime()
+  ));
+
+  const hold = await slotHolds.createHold({
+    userId: entry.userId._id,
+    services: [service],
+    date,
+    timeSlot,
+    candidates,
+    expiresAt,
+    waitlistId: entry._id
+  });
+
+  if (!hold) {
+    return false;
+  }
+
+  // Only an entry that is still waiting gets the offer
+  const offered = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    {
+      $set: {
+        status: 'notified',
+        notifiedAt: new Date(),
+        offer: { date, holdId: hold._id, staffId: hold.staffId, timeSlot, expiresAt },
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!offered) {
+    await slotHolds.releaseHold(hold);
+    return false;
+  }
+
+  const user = entry.userId;
+
+  if (user.preferences.emailNotifications) {
+    emailService.sendWaitlistOfferEmail(user, service, offered);
+  }
+
+  if (user.preferences.smsNotifications) {
+    smsService.sendWaitlistNotificationSMS(user, service, offered);
+  }
+
+  return true;
+};
+
+// Release the hold behind an entry's offer. A hold that is gone was claimed or cleaned up already,
+// and its claims are no longer the offer's.
+const releaseOffer = async (entry) => {
+  const hold = await SlotHold.findById(entry.offer.holdId);
+  if (hold) {
+    await slotHolds.releaseHold(hold);
+  }
+};
+
+// Offer slots that became available on a date to the waitlist, oldest entry first
+exports.updateWaitlistForDate = async (date) => {
+  try {
+    date = dateUtils.startOfDay(date);
+
+    // Get waiting entries that cover the date
+    const waitlistEntries = (await Waitlist.find(this.getDateQuery(date, ['waiting']))
+      .populate('userId')
+      .populate('serviceId')
+      .sort({ createdAt: 1 }))
+      .filter(entry => this.coversDate(entry, date));
+
+    if (waitlistEntries.length === 0) {
+      return;
+    }
+
+    // Get existing appointments and opening hours for the date
+    let bookedSlots = await scheduleUtils.getBookedSlots(date);
+    const daySchedule = await scheduleUtils.getDaySchedule(date);
+
+    for (const entry of waitlistEntries) {
+      if (!entry.userId || !entry.serviceId) {
+        continue;
+      }
+
+      // Clients blocked for no-shows are passed over until the block ends
+      const { blockedUntil } = entry.userId.bookingRestriction || {};
+      if (blockedUntil && blockedUntil > new Date()) {
+        continue;
+      }
+
+      // Get available time slots for this service with the requested barber (or any barber)
+      const staffMembers = await scheduleUtils.getEligibleStaff(
+        entry.serviceId._id,
+        entry.staffId ? entry.staffId.toString() : undefined
+      );
+      const buffers = serviceUtils.getBuffers([entry.serviceId]);
+
+      const availableSlots = scheduleUtils.removePastSlots(
+        date,
+        scheduleUtils.mergeStaffSlots(
+          scheduleUtils.getStaffAvailableSlots(
+            date,
+            bookedSlots,
+            entry.serviceId.duration,
+            daySchedule,
+            staffMembers,
+            buffers
+          )
+        )
+      ).filter(slot => inTimeWindows(entry, slot));
+
+      if (availableSlots.length === 0) {
+        continue;
+      }
+
+      const timeSlot = selectSlot(entry, availableSlots);
+      const candidates = scheduleUtils.getAvailableStaffForSlot(
+        timeSlot,
+        bookedSlots,
+        entry.serviceId.duration,
+        daySchedule,
+        staffMembers,
+        buffers
+      );
+
+      // The offer's hold takes the slot, so later entries are offered something else
+      if (await makeOffer(entry, date, timeSlot, candidates)) {
+        bookedSlots = await scheduleUtils.getBookedSlots(date);
+      }
+    }
+  } catch (err) {
+    console.error('Error updating waitlist:', err);
+  }
+};
+
+// Expire offers that were not claimed in time and pass their slots on to the next entries,
+// resolving to the number of offers expired
+exports.expireOffers = async (now = new Date()) => {
+  const entries = await Waitlist.find({
+    status: 'notified',
+    'offer.expiresAt': { $lte: now }
+  });
+
+  const dates = new Map();
+  let expiredCount = 0;
+
+  for (const entry of entries) {
+    const expired = await Waitlist.updateOne(
+      { _id: entry._id, status: 'notified' },
+      { $set: { status: 'expired', updatedAt: new Date() } }
+    );
+
+    if (expired.modifiedCount === 0) {
+      continue;
+    }
+
+    expiredCount++;
+    await releaseOffer(entry);
+    dates.set(dateUtils.toDateKey(entry.offer.date), entry.offer.date);
+  }
+
+  for (const date of dates.values()) {
+    await this.updateWaitlistForDate(date);
+  }
+
+  return expiredCount;
+};
+
+// Withdraw an entry from the waitlist, passing a slot it was offered on to the next entry.
+// Resolves to false if the entry was no longer waiting or holding an offer.
+exports.withdrawEntry = async (entry) => {
+  // The entry as it was before, in case an offer was made in the meantime
+  const previous = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: { $in: ['waiting', 'notified'] } },
+    { $set: { status: 'withdrawn', updatedAt: new Date() } }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  if (previous.status === 'notified' && previous.offer && previous.offer.holdId) {
+    await releaseOffer(previous);
+    await this.updateWaitlistForDate(previous.offer.date);
+  }
+
+  return true;
+};